@@ -0,0 +1,149 @@
+import { CONFIG } from '../shared/config.js';
+import { hashText } from './contentFingerprint.js';
+
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const HEADING_PATTERN = /^#{1,6}\s/;
+
+/**
+ * Splits Markdown into blocks separated by blank lines, keeping fenced code
+ * blocks whole
+ * @param {string} text - Page Markdown
+ * @returns {string[]}
+ */
+export function splitBlocks(text) {
+  const blocks = [];
+  let lines = [];
+  let inFence = false;
+
+  for (const line of String(text ?? '').split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    }
+
+    if (!inFence && line.trim() === '') {
+      if (lines.length > 0) {
+        blocks.push(lines.join('\n'));
+        lines = [];
+      }
+      continue;
+    }
+
+    lines.push(line);
+  }
+
+  if (lines.length > 0) {
+    blocks.push(lines.join('\n'));
+  }
+
+  return blocks;
+}
+
+/**
+ * Gets the key a block is counted under, or null for blocks that are never
+ * treated as boilerplate. Headings and code recur across documentation pages
+ * as part of their content, so only prose, lists and tables are counted.
+ * @param {string} block - A block from splitBlocks
+ * @returns {string|null}
+ */
+function getBlockKey(block) {
+  const text = block.replace(/\s+/g, ' ').trim();
+  if (!text || HEADING_PATTERN.test(text) || FENCE_PATTERN.test(text)) {
+    return null;
+  }
+  return hashText(text);
+}
+
+/**
+ * Finds text blocks repeated across many pages of a crawl, such as sidebars,
+ * cookie notices and footers that Readability left in, and strips them.
+ * Every page is added before any is stripped.
+ */
+export class BoilerplateDetector {
+  /**
+   * @param {Object} options - Detection thresholds
+   * @param {number} options.minPageShare - Share of pages a block must appear on
+   * @param {number} options.minPages - Fewest pages a block must appear on
+   */
+  constructor({
+    minPageShare = CONFIG.BOILERPLATE.MIN_PAGE_SHARE,
+    minPages = CONFIG.BOILERPLATE.MIN_PAGES,
+  } = {}) {
+    this.minPageShare = minPageShare;
+    this.minPages = minPages;
+    this.pageCount = 0;
+    // Pages each block key appears on, and the text of keys seen more than once
+    this.counts = new Map();
+    this.samples = new Map();
+    this.repeated = null;
+  }
+
+  /**
+   * Counts the blocks of one page
+   * @param {string} text - Page Markdown
+   */
+  addPage(text) {
+    this.pageCount += 1;
+    this.repeated = null;
+
+    const seen = new Set();
+    for (const block of splitBlocks(text)) {
+      const key = getBlockKey(block);
+      if (!key || seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      const count = (this.counts.get(key) ?? 0) + 1;
+      this.counts.set(key, count);
+      if (count === 2) {
+        this.samples.set(key, block);
+      }
+    }
+  }
+
+  /**
+   * Gets the blocks common enough to strip
+   * @returns {Map<string, {text: string, pages: number}>} - Keyed by block key
+   */
+  getRepeatedBlocks() {
+    if (!this.repeated) {
+      const needed = Math.max(this.minPages, Math.ceil(this.pageCount * this.minPageShare));
+      this.repeated = new Map();
+      for (const [key, pages] of this.counts) {
+        if (pages >= needed) {
+          this.repeated.set(key, { text: this.samples.get(key), pages });
+        }
+      }
+    }
+    return this.repeated;
+  }
+
+  /**
+   * Removes repeated blocks from a page. A page made only of repeated blocks
+   * is returned unchanged rather than emptied.
+   * @param {string} text - Page Markdown
+   * @returns {string}
+   */
+  strip(text) {
+    const repeated = this.getRepeatedBlocks();
+    if (repeated.size === 0 || !text) {
+      return text;
+    }
+
+    const blocks = splitBlocks(text);
+    const kept = blocks.filter((block) => !repeated.has(getBlockKey(block)));
+    if (kept.length === blocks.length || kept.length === 0) {
+      return text;
+    }
+
+    return kept.join('\n\n');
+  }
+
+  /**
+   * Lists the stripped blocks, most widespread first
+   * @returns {Array<{text: string, pages: number}>}
+   */
+  getReport() {
+    return [...this.getRepeatedBlocks().values()].sort((a, b) => b.pages - a.pages);
+  }
+}
@@ -0,0 +1,109 @@
+import { CONFIG } from '../shared/config.js';
+
+/**
+ * Reads the system's memory, which every crawl tab adds to. The worker's own
+ * heap cannot be measured: performance.memory only exists in windows.
+ * @returns {Promise<{capacity: number, availableCapacity: number}|null>}
+ */
+async function readSystemMemory() {
+  try {
+    return (await globalThis.chrome?.system?.memory?.getInfo()) ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Picks how many pages a crawl scrapes at once, within the user's cap. After
+ * every batch of page loads it backs off sharply when pages time out, eases
+ * off when loads are slow or the system is nearly out of memory, and adds a
+ * tab when pages load quickly.
+ */
+export class ConcurrencyController {
+  /**
+   * @param {Object} options - Controller options
+   * @param {number} options.max - The user's concurrency cap
+   * @param {Function} options.readMemory - System memory reader, replaceable in tests
+   */
+  constructor({ max, readMemory = readSystemMemory }) {
+    this.max = max;
+    this.limit = Math.min(max, CONFIG.ADAPTIVE_CONCURRENCY.INITIAL);
+    this.readMemory = readMemory;
+    this.memory = null;
+    this.samples = [];
+    this.refreshMemory();
+  }
+
+  /**
+   * Takes a memory reading for the next adjustment. Reading is asynchronous
+   * and adjusting is not, so each adjustment uses the reading taken at the
+   * previous one.
+   */
+  refreshMemory() {
+    Promise.resolve(this.readMemory())
+      .then((memory) => {
+        this.memory = memory ?? null;
+      })
+      .catch(() => {
+        this.memory = null;
+      });
+  }
+
+  /**
+   * Records how a page load went
+   * @param {Object} sample - The page load
+   * @param {number} sample.loadMs - Time from opening the tab to load or timeout
+   * @param {boolean} sample.timedOut - Whether the page timed out
+   */
+  recordPage({ loadMs, timedOut = false }) {
+    this.samples.push({ loadMs, timedOut });
+  }
+
+  /**
+   * Changes the limit once enough page loads have been measured
+   * @returns {{from: number, to: number, reason: string}|null} - The change, if any
+   */
+  adjust() {
+    const { SAMPLE_SIZE, FAST_LOAD_MS, SLOW_LOAD_MS, MAX_TIMEOUT_RATE, MAX_MEMORY_USAGE } =
+      CONFIG.ADAPTIVE_CONCURRENCY;
+    if (this.samples.length < SAMPLE_SIZE) {
+      return null;
+    }
+
+    const samples = this.samples;
+    this.samples = [];
+
+    const timeouts = samples.filter((sample) => sample.timedOut).length;
+    const timeoutRate = timeouts / samples.length;
+    const averageMs = Math.round(
+      samples.reduce((sum, sample) => sum + sample.loadMs, 0) / samples.length
+    );
+    const { memory } = this;
+    const memoryUsage = memory?.capacity ? 1 - memory.availableCapacity / memory.capacity : 0;
+    this.refreshMemory();
+
+    if (timeoutRate > MAX_TIMEOUT_RATE) {
+      return this.setLimit(
+        Math.floor(this.limit / 2),
+        `${timeouts} of ${samples.length} pages timed out`
+      );
+    }
+    if (memoryUsage > MAX_MEMORY_USAGE) {
+      return this.setLimit(this.limit - 1, `system memory ${Math.round(memoryUsage * 100)}% used`);
+    }
+    if (averageMs > SLOW_LOAD_MS) {
+      return this.setLimit(this.limit - 1, `pages took ${averageMs}ms to load on average`);
+    }
+    if (timeouts === 0 && averageMs < FAST_LOAD_MS) {
+      return this.setLimit(this.limit + 1, `pages loaded in ${averageMs}ms on average`);
+    }
+
+    return null;
+  }
+
+  setLimit(limit, reason) {
+    const from = this.limit;
+    this.limit = Math.min(this.max, Math.max(1, limit));
+    return this.limit === from ? null : { from, to: this.limit, reason };
+  }
+}
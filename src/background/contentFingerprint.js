@@ -0,0 +1,103 @@
+import { CONFIG } from '../shared/config.js';
+
+const HASH_BITS = 64;
+
+/**
+ * 32-bit FNV-1a hash of a string, started from the given offset basis
+ * @param {string} text - The text to hash
+ * @param {number} basis - FNV offset basis
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(text, basis) {
+  let hash = basis;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Hashes text to 64 bits from two differently seeded 32-bit FNV-1a hashes
+ * @param {string} text - The text to hash
+ * @returns {number[]} - The two 32-bit halves
+ */
+function hashHalves(text) {
+  return [fnv1a(text, 0x811c9dc5), fnv1a(text, 0x050c5d1f)];
+}
+
+/**
+ * Hashes text to 16 hex digits, for use as a compact map key
+ * @param {string} text - The text to hash
+ * @returns {string}
+ */
+export function hashText(text) {
+  return hashHalves(text)
+    .map((half) => half.toString(16).padStart(8, '0'))
+    .join('');
+}
+
+function popCount(value) {
+  let bits = value >>> 0;
+  let count = 0;
+  while (bits) {
+    bits &= bits - 1;
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * Computes a 64-bit SimHash of a page's text over overlapping word shingles.
+ * Pages whose text differs only a little get hashes that differ in only a
+ * few bits.
+ * @param {string} text - The page text
+ * @returns {string|null} - The hash as 16 hex digits, or null when the page
+ *   is too short to compare reliably
+ */
+export function computeSimHash(text) {
+  const { SHINGLE_WORDS, MIN_WORDS } = CONFIG.NEAR_DUPLICATES;
+  const words = String(text ?? '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+
+  if (!words || words.length < MIN_WORDS) {
+    return null;
+  }
+
+  const weights = new Array(HASH_BITS).fill(0);
+  for (let start = 0; start + SHINGLE_WORDS <= words.length; start += 1) {
+    const shingle = words.slice(start, start + SHINGLE_WORDS).join(' ');
+    const halves = hashHalves(shingle);
+
+    for (let bit = 0; bit < HASH_BITS; bit += 1) {
+      const set = (halves[bit >> 5] >>> (bit & 31)) & 1;
+      weights[bit] += set ? 1 : -1;
+    }
+  }
+
+  const simHash = [0, 0];
+  for (let bit = 0; bit < HASH_BITS; bit += 1) {
+    if (weights[bit] > 0) {
+      simHash[bit >> 5] |= 1 << (bit & 31);
+    }
+  }
+
+  return simHash.map((half) => (half >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Compares two SimHashes
+ * @param {string} first - Hash from computeSimHash
+ * @param {string} second - Hash from computeSimHash
+ * @returns {number} - Share of matching bits, from 0 to 1
+ */
+export function getSimilarity(first, second) {
+  let differing = 0;
+  for (let offset = 0; offset < 16; offset += 8) {
+    const a = parseInt(first.slice(offset, offset + 8), 16);
+    const b = parseInt(second.slice(offset, offset + 8), 16);
+    differing += popCount(a ^ b);
+  }
+  return 1 - differing / HASH_BITS;
+}
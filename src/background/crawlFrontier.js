@@ -0,0 +1,161 @@
+import { CONFIG } from '../shared/config.js';
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (_) {
+    return segment;
+  }
+}
+
+function pathSegments(url) {
+  try {
+    return new URL(url).pathname.split('/').filter(Boolean).map(decodeSegment);
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * The pages waiting to be scraped, handed out breadth-first, depth-first or
+ * best-first. Best-first favours shallow pages, pages under the seed's path
+ * and pages whose link text or URL mentions one of the priority keywords.
+ */
+export class CrawlFrontier {
+  /**
+   * @param {Object} options - Frontier options
+   * @param {string} options.order - 'bfs', 'dfs' or 'best-first'
+   * @param {string} options.seedUrl - The starting URL, for path similarity
+   * @param {string[]} options.keywords - Words that raise a link's priority
+   * @param {number} options.capacity - Most entries kept
+   */
+  constructor({
+    order = CONFIG.DEFAULTS.CRAWL_ORDER,
+    seedUrl = '',
+    keywords = [],
+    capacity = Infinity,
+  } = {}) {
+    this.order = CONFIG.CRAWL_ORDERS.includes(order) ? order : CONFIG.DEFAULTS.CRAWL_ORDER;
+    this.seedSegments = pathSegments(seedUrl);
+    this.keywords = keywords.map((keyword) => keyword.toLowerCase()).filter(Boolean);
+    this.capacity = capacity;
+    // Sorted so the next entry to hand out is last
+    this.entries = [];
+    this.nextSeq = 0;
+  }
+
+  get length() {
+    return this.entries.length;
+  }
+
+  /**
+   * Adds a page to the frontier. A full frontier drops the entry that would
+   * be handed out last, which may be the new one.
+   * @param {string} url - The normalised page URL
+   * @param {Object} details - What is known about the link
+   * @param {number} details.depth - Link hops from the starting page
+   * @param {string} details.anchorText - Text of the link that led here
+   * @param {number} details.score - A score saved earlier, used instead of scoring again
+   * @returns {string|null} - The URL dropped to stay within capacity, if any
+   */
+  push(url, { depth = 0, anchorText = '', score = null } = {}) {
+    const entry = {
+      url,
+      depth,
+      score: Number.isFinite(score) ? score : this.score(url, depth, anchorText),
+      seq: this.nextSeq,
+    };
+    this.nextSeq += 1;
+
+    // Binary search for the first entry that comes out before the new one
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.compare(this.entries[middle], entry) < 0) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    this.entries.splice(low, 0, entry);
+    return this.entries.length > this.capacity ? this.entries.shift().url : null;
+  }
+
+  /**
+   * Takes the next page to scrape
+   * @returns {string|null}
+   */
+  pop() {
+    return this.entries.pop()?.url ?? null;
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  /**
+   * Lists the queued URLs in the order they will be handed out
+   * @returns {string[]}
+   */
+  toArray() {
+    return this.entries.map((entry) => entry.url).reverse();
+  }
+
+  /**
+   * Lists the queued entries in the order they will be handed out
+   * @returns {Array<{url: string, depth: number, score: number}>}
+   */
+  toJSON() {
+    return [...this.entries].reverse().map(({ url, depth, score }) => ({ url, depth, score }));
+  }
+
+  /**
+   * Replaces the queued entries with saved ones, keeping their saved order
+   * @param {Array<{url: string, depth: number, score: number}>} entries - Entries in hand-out order
+   */
+  load(entries) {
+    this.clear();
+    // Depth-first hands out the newest entry first, so it is pushed last
+    const ordered = this.order === 'dfs' ? [...entries].reverse() : entries;
+    ordered.forEach((entry) => this.push(entry.url, entry));
+  }
+
+  /**
+   * Scores a link for best-first ordering; higher scores are scraped sooner
+   * @param {string} url - The page URL
+   * @param {number} depth - Link hops from the starting page
+   * @param {string} anchorText - Text of the link that led here
+   * @returns {number}
+   */
+  score(url, depth, anchorText) {
+    const { DEPTH_WEIGHT, PATH_WEIGHT, KEYWORD_WEIGHT } = CONFIG.FRONTIER;
+
+    const segments = pathSegments(url);
+    let shared = 0;
+    while (shared < this.seedSegments.length && segments[shared] === this.seedSegments[shared]) {
+      shared += 1;
+    }
+    const pathScore = this.seedSegments.length > 0 ? shared / this.seedSegments.length : 0;
+
+    const haystack = `${anchorText} ${segments.join(' ')}`.toLowerCase();
+    const matched = this.keywords.filter((keyword) => haystack.includes(keyword)).length;
+    const keywordScore = this.keywords.length > 0 ? matched / this.keywords.length : 0;
+
+    return DEPTH_WEIGHT / (1 + depth) + PATH_WEIGHT * pathScore + KEYWORD_WEIGHT * keywordScore;
+  }
+
+  /**
+   * Orders two entries
+   * @returns {number} - Negative when a is handed out before b
+   */
+  compare(a, b) {
+    if (this.order === 'dfs') {
+      return b.seq - a.seq;
+    }
+    if (this.order === 'best-first' && a.score !== b.score) {
+      return b.score - a.score;
+    }
+    return a.depth - b.depth || a.seq - b.seq;
+  }
+}
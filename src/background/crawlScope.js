@@ -0,0 +1,114 @@
+import { getRegistrableDomain } from '../shared/publicSuffix.js';
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Turns a path prefix into its directory form, so "/docs/v2" and "/docs/v2/"
+ * both scope a crawl to "/docs/v2/"
+ * @param {string} prefix - A path, or a URL whose path is used
+ * @returns {string}
+ */
+function toDirectoryPrefix(prefix) {
+  const trimmed = String(prefix ?? '').trim();
+  // Accept a full URL as well as a bare path
+  let path = parseUrl(trimmed)?.pathname ?? trimmed;
+
+  if (!path.startsWith('/')) {
+    path = `/${path}`;
+  }
+
+  return path.endsWith('/') ? path : `${path}/`;
+}
+
+/**
+ * Turns an allowlist entry into a lowercase hostname
+ * @param {string} entry - A hostname, "*.hostname" for it and its subdomains, or a URL
+ * @returns {string}
+ */
+function toHostPattern(entry) {
+  const trimmed = String(entry ?? '')
+    .trim()
+    .toLowerCase();
+  return parseUrl(trimmed)?.hostname ?? trimmed.replace(/\/.*$/, '');
+}
+
+/**
+ * Decides whether a discovered link belongs to the crawl's site section.
+ * Hosts are checked first, then the path prefix, which applies on every
+ * allowed host.
+ */
+export class CrawlScope {
+  /**
+   * @param {string} startingUrl - The normalised starting URL
+   * @param {Object} settings - Task settings
+   * @param {string} settings.pathScope - 'host', 'start-path' or 'custom'
+   * @param {string} settings.scopePrefix - The path prefix for the 'custom' scope
+   * @param {string} settings.hostScope - 'host' or 'domain'
+   * @param {string[]} settings.allowedHosts - Extra hosts to crawl; "*.example.org" covers subdomains
+   */
+  constructor(
+    startingUrl,
+    { pathScope = 'host', scopePrefix = '', hostScope = 'host', allowedHosts = [] } = {}
+  ) {
+    const start = parseUrl(startingUrl);
+    this.hostname = start?.hostname ?? '';
+    // A domain whose public suffix is unknown keeps the scope to the starting host
+    this.registrableDomain = hostScope === 'domain' ? getRegistrableDomain(this.hostname) : null;
+    this.allowedHosts = allowedHosts.map(toHostPattern).filter(Boolean);
+    this.pathPrefix = null;
+
+    if (pathScope === 'start-path' && start) {
+      // Pages are scoped to their directory: /docs/v2/intro covers /docs/v2/
+      this.pathPrefix = start.pathname.slice(0, start.pathname.lastIndexOf('/') + 1);
+    } else if (pathScope === 'custom' && String(scopePrefix ?? '').trim()) {
+      this.pathPrefix = toDirectoryPrefix(scopePrefix);
+    }
+  }
+
+  /**
+   * Checks whether a link is inside the scope
+   * @param {string} url - The link URL
+   * @returns {boolean}
+   */
+  allows(url) {
+    const linkUrl = parseUrl(url);
+    if (!linkUrl || !this.allowsHost(linkUrl.hostname)) {
+      return false;
+    }
+
+    if (!this.pathPrefix) {
+      return true;
+    }
+
+    const path = linkUrl.pathname;
+    return path.startsWith(this.pathPrefix) || `${path}/` === this.pathPrefix;
+  }
+
+  /**
+   * Checks whether a host is the starting host, shares its registrable
+   * domain when that scope is on, or is on the allowlist
+   * @param {string} hostname - The link's hostname
+   * @returns {boolean}
+   */
+  allowsHost(hostname) {
+    if (hostname === this.hostname) {
+      return true;
+    }
+
+    if (this.registrableDomain && getRegistrableDomain(hostname) === this.registrableDomain) {
+      return true;
+    }
+
+    return this.allowedHosts.some((pattern) =>
+      pattern.startsWith('*.')
+        ? hostname === pattern.slice(2) || hostname.endsWith(pattern.slice(1))
+        : hostname === pattern
+    );
+  }
+}
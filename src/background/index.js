@@ -1,24 +1,181 @@
 import { TaskManager } from './taskManager.js';
+import { TaskStorage } from './taskStorage.js';
+import { PageStore } from './pageStore.js';
 import { PageScraper } from './scraper.js';
 import { MarkdownBuilder } from './markdownBuilder.js';
+import { BoilerplateDetector } from './boilerplate.js';
+import { ConcurrencyController } from './concurrencyController.js';
+import { offscreenDocument } from './offscreenDocument.js';
 import { SafeChromeAPI } from '../shared/safeChromeAPI.js';
 import { generateFilename } from '../shared/utils.js';
 
-const taskManager = new TaskManager();
+const taskStorage = new TaskStorage();
+const pageStore = PageStore.isAvailable() ? new PageStore() : null;
+const taskManager = new TaskManager(taskStorage, pageStore);
 const scraper = new PageScraper(taskManager);
 
+let resumePromise = null;
+
+function runTask(task) {
+  processTask(task).catch((error) => {
+    taskManager.sendStatus(task.taskId, {
+      status: 'Task failed',
+      debug: error.message,
+    });
+  });
+}
+
+/**
+ * Picks up crawls that were still running when the service worker stopped.
+ * Safe to call repeatedly; the saved tasks are only loaded once per worker.
+ * @returns {Promise<void>}
+ */
+function resumeSavedTasks() {
+  if (!resumePromise) {
+    resumePromise = restoreSavedTasks().catch((error) => {
+      console.warn('Failed to resume saved tasks:', error.message);
+    });
+  }
+  return resumePromise;
+}
+
+async function restoreSavedTasks() {
+  // Tabs pooled by the stopped worker would otherwise stay open in the background
+  await scraper
+    .closeOrphanedTabs()
+    .catch((error) => console.warn('Failed to close leftover crawl tabs:', error.message));
+
+  const tasks = await taskStorage.loadResumable();
+
+  // Pages from crawls that can no longer resume or be retried would otherwise stay on disk
+  const lastCrawls = await taskStorage.loadLastCrawls();
+  await pageStore
+    ?.deleteAllExcept([...tasks, ...lastCrawls].map((task) => task.runId))
+    .catch((error) => console.warn('Failed to prune stored pages:', error.message));
+
+  for (const task of tasks) {
+    if (!taskManager.restoreTask(task)) {
+      continue;
+    }
+
+    task.resumed = true;
+    taskManager.sendStatus(task.taskId, {
+      status: 'Resuming task after restart...',
+      debug: `Resumed with ${task.processed} page(s) done and ${task.queue.length} queued`,
+    });
+    runTask(task);
+  }
+}
+
+function describeTask(task) {
+  return {
+    running: true,
+    status: task.resumed ? 'Task resumed after restart' : 'Task in progress',
+    processed: task.processed,
+    total: Math.min(task.settings.maxPages, task.processed + task.queue.length + task.inProgress),
+    filterRejections: Object.fromEntries(task.linkRejections),
+    robotsSkipped: task.robotsSkipped.size,
+    requestRate: scraper.rateLimiter.getRate(task.startingUrl),
+  };
+}
+
+/**
+ * Reruns the failed pages of a tab's last crawl, keeping its captured pages
+ * so the new export contains both
+ * @param {number} tabId - The tab whose last crawl should be retried
+ * @returns {Promise<number>} - How many pages were queued
+ */
+async function retryFailedPages(tabId) {
+  await resumeSavedTasks();
+
+  if (taskManager.getTask(tabId)) {
+    throw new Error('A task already exists for this tab');
+  }
+
+  const lastCrawl = await taskStorage.loadLastCrawl(tabId);
+  if (!lastCrawl || lastCrawl.failures.size === 0) {
+    throw new Error('No failed pages to retry');
+  }
+
+  const count = lastCrawl.prepareFailureRetry();
+  if (!taskManager.restoreTask(lastCrawl)) {
+    throw new Error('A task already exists for this tab');
+  }
+
+  taskManager.sendStatus(tabId, { status: `Retrying ${count} failed page(s)...` });
+  runTask(lastCrawl);
+  return count;
+}
+
+/**
+ * Keeps a finished crawl with failures so they can be retried, replacing the
+ * tab's previous last crawl
+ * @param {TaskState} task - The finished task
+ * @returns {Promise<boolean>} - Whether the task's stored pages must be kept
+ */
+async function rememberLastCrawl(task) {
+  const previous = await taskStorage.loadLastCrawl(task.taskId);
+  if (previous && previous.runId !== task.runId) {
+    await pageStore
+      ?.deleteRun(previous.runId)
+      .catch((error) => console.warn('Failed to delete stored pages:', error.message));
+  }
+
+  if (task.failures.size === 0) {
+    await taskStorage.removeLastCrawl(task.taskId);
+    return false;
+  }
+
+  await taskStorage.saveLastCrawl(task);
+  return true;
+}
+
 async function processTask(task) {
+  await scraper.loadRobotsRules(task);
+  await scraper.seedFromSitemaps(task);
+
+  const controller = task.settings.adaptiveConcurrency
+    ? new ConcurrencyController({ max: task.settings.concurrency })
+    : null;
+  if (controller) {
+    taskManager.sendStatus(task.taskId, {
+      debug: `Adaptive concurrency: starting with ${controller.limit} of up to ${controller.max} tabs`,
+    });
+  }
+
+  const tabPool = scraper.openTabPool(task);
+  try {
+    await runScrapes(task, controller, tabPool);
+  } finally {
+    await scraper.closeTabPool(task);
+  }
+
+  if (task.markAsFinishing()) {
+    await finishTask(task);
+  }
+}
+
+/**
+ * Scrapes queued pages, up to the concurrency limit at a time, until the
+ * queue runs dry or the task stops
+ * @param {TaskState} task - The running task
+ * @param {ConcurrencyController|null} controller - Sets the limit when adaptive
+ * @param {TabPool} tabPool - The task's tabs, resized with the limit
+ * @returns {Promise<void>}
+ */
+async function runScrapes(task, controller, tabPool) {
   const active = new Set();
 
   while (!task.abort) {
-    while (task.canSchedule() && active.size < task.settings.concurrency && !task.abort) {
+    const limit = controller ? controller.limit : task.settings.concurrency;
+    while (task.canSchedule() && active.size < limit && !task.abort) {
       const nextUrl = task.getNextUrl();
       if (!nextUrl) {
         break;
       }
 
       const run = scraper
-        .scrape(task, nextUrl)
+        .scrape(task, nextUrl, controller)
         .catch((error) => {
           taskManager.sendStatus(task.taskId, {
             status: 'Scraping error',
@@ -28,6 +185,13 @@ async function processTask(task) {
         })
         .finally(() => {
           active.delete(run);
+          const change = controller?.adjust();
+          if (change) {
+            tabPool.resize(change.to);
+            taskManager.sendStatus(task.taskId, {
+              debug: `Concurrency ${change.from} -> ${change.to}: ${change.reason}`,
+            });
+          }
         });
 
       active.add(run);
@@ -41,46 +205,102 @@ async function processTask(task) {
   }
 
   await Promise.allSettled(active);
-
-  if (!task.abort && task.isComplete() && task.markAsFinishing()) {
-    await finishTask(task);
-  }
 }
 
 async function finishTask(task) {
-  const builder = new MarkdownBuilder();
-  builder.addFromContentMap(task.contentMap);
-  const markdown = builder.build();
+  const partial = task.abort;
+  const builder = new MarkdownBuilder({
+    metadataFormat: task.settings.metadataFormat,
+    partial,
+  });
+  builder.addFromContentMap(task.contentMap, {
+    depths: task.depths,
+    aliases: task.getAliasesByPage(),
+    nearDuplicates: task.getNearDuplicatesByPage(),
+  });
+  builder.addFailures(task.failures);
+  await task.flushContent();
 
-  await attemptDownload(task, markdown);
+  const boilerplate = task.settings.stripBoilerplate ? await findBoilerplate(task) : null;
+  if (boilerplate) {
+    builder.addBoilerplateReport(boilerplate.getReport());
+  }
+  const loadContent = async (url) => {
+    const text = await task.loadContent(url);
+    return boilerplate ? boilerplate.strip(text) : text;
+  };
+
+  // Sections go to the offscreen document as they are built, so the worker
+  // never holds the whole export
+  await attemptDownload(task, builder.buildStream(loadContent));
 
   taskManager.sendStatus(task.taskId, {
     done: true,
-    status: 'Scraping complete',
+    status: partial ? 'Scraping stopped - captured pages exported' : 'Scraping complete',
     processed: task.processed,
     total: task.processed,
-    content: markdown,
+    failedPages: task.failures.size,
   });
 
   task.markAsFinished();
-  taskManager.cleanupTask(task.taskId);
+  const keepContent = await rememberLastCrawl(task).catch((error) => {
+    console.warn('Failed to save the last crawl:', error.message);
+    return false;
+  });
+  taskManager.cleanupTask(task.taskId, { keepContent });
 }
 
-async function attemptDownload(task, content) {
+/**
+ * Reads every captured page once to find blocks repeated across the crawl
+ * @param {TaskState} task - The finishing task
+ * @returns {Promise<BoilerplateDetector>}
+ */
+async function findBoilerplate(task) {
+  const detector = new BoilerplateDetector();
+  for (const url of task.contentMap.keys()) {
+    detector.addPage(await task.loadContent(url));
+  }
+
+  const removed = detector.getReport().length;
+  if (removed > 0) {
+    taskManager.sendStatus(task.taskId, {
+      debug: `Stripping ${removed} block(s) repeated across ${detector.pageCount} pages`,
+    });
+  }
+
+  return detector;
+}
+
+/**
+ * Writes the export to a Blob in the offscreen document and downloads it
+ * @param {TaskState} task - The finished task
+ * @param {AsyncIterable<string>} parts - The export text, in order
+ * @returns {Promise<void>}
+ */
+async function attemptDownload(task, parts) {
+  let blobUrl = null;
   try {
     const filename = generateFilename(task.startingDomain);
-    const dataUrl = `data:text/markdown;charset=utf-8,${encodeURIComponent(content)}`;
+    blobUrl = await offscreenDocument.createBlobUrl(task.runId, parts);
 
-    await SafeChromeAPI.downloads('download', {
-      url: dataUrl,
+    const downloadId = await SafeChromeAPI.downloads('download', {
+      url: blobUrl,
       filename,
       saveAs: false,
     });
+    if (typeof downloadId === 'number') {
+      revokeWhenDownloaded(downloadId, blobUrl);
+    } else {
+      releaseBlobUrl(blobUrl);
+    }
 
     taskManager.sendStatus(task.taskId, {
       debug: `Download started: ${filename}`,
     });
   } catch (error) {
+    if (blobUrl) {
+      releaseBlobUrl(blobUrl);
+    }
     console.warn('Download failed:', error.message);
     taskManager.sendStatus(task.taskId, {
       debug: `Download failed: ${error.message}`,
@@ -88,12 +308,40 @@ async function attemptDownload(task, content) {
   }
 }
 
+/**
+ * Frees an export's Blob once Chrome has finished or abandoned its download
+ * @param {number} downloadId - The download
+ * @param {string} blobUrl - The object URL it reads from
+ */
+function revokeWhenDownloaded(downloadId, blobUrl) {
+  const handleChange = (delta) => {
+    const state = delta.state?.current;
+    if (delta.id !== downloadId || (state !== 'complete' && state !== 'interrupted')) {
+      return;
+    }
+    chrome.downloads.onChanged.removeListener(handleChange);
+    releaseBlobUrl(blobUrl);
+  };
+  chrome.downloads.onChanged.addListener(handleChange);
+}
+
+function releaseBlobUrl(blobUrl) {
+  offscreenDocument
+    .revokeBlobUrl(blobUrl)
+    .catch((error) => console.warn('Failed to free the export:', error.message));
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || typeof message !== 'object') {
     sendResponse({ success: false, error: 'Invalid message payload' });
     return false;
   }
 
+  // Requests for the offscreen document are answered there
+  if (message.target === 'offscreen') {
+    return false;
+  }
+
   if (message.action === 'start') {
     const { tabId, startingUrl, settings } = message;
     if (typeof tabId !== 'number' || !startingUrl) {
@@ -104,12 +352,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     try {
       const task = taskManager.createTask(tabId, startingUrl, settings ?? {});
       taskManager.sendStatus(tabId, { status: 'Starting scraping task...' });
-      processTask(task).catch((error) => {
-        taskManager.sendStatus(tabId, {
-          status: 'Task failed',
-          debug: error.message,
-        });
-      });
+      runTask(task);
       sendResponse({ success: true });
     } catch (error) {
       sendResponse({ success: false, error: error.message });
@@ -121,10 +364,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'stop') {
     const task = taskManager.getTask(message.tabId);
     if (task) {
-      task.abort = true;
-      task.queue = [];
-      taskManager.sendStatus(task.taskId, { status: 'Stopping task...' });
-      taskManager.cleanupTask(task.taskId);
+      const exportPartial = message.exportPartial === true;
+      task.stop({ exportPartial });
+
+      if (exportPartial) {
+        // processTask exports once in-flight pages settle, then cleans up
+        taskManager.sendStatus(task.taskId, {
+          status: 'Stopping task and exporting captured pages...',
+        });
+      } else {
+        taskManager.sendStatus(task.taskId, { status: 'Stopping task...' });
+        taskManager.cleanupTask(task.taskId);
+      }
       sendResponse({ success: true });
     } else {
       sendResponse({ success: false, error: 'No active task' });
@@ -132,6 +383,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return false;
   }
 
+  if (message.action === 'retryFailed') {
+    if (typeof message.tabId !== 'number') {
+      sendResponse({ success: false, error: 'Missing task parameters' });
+      return false;
+    }
+
+    retryFailedPages(message.tabId)
+      .then((count) => sendResponse({ success: true, count }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   if (message.action === 'ping') {
     sendResponse({ success: true });
     return false;
@@ -149,6 +412,29 @@ chrome.runtime.onConnect.addListener((port) => {
   port.onMessage.addListener((msg) => {
     if (msg?.action === 'subscribe' && typeof msg.tabId === 'number') {
       taskManager.subscribe(msg.tabId, port);
+
+      // Tell a reopened popup about a running crawl or failures it can retry
+      resumeSavedTasks().then(async () => {
+        const task = taskManager.getTask(msg.tabId);
+        let state = null;
+
+        if (task && !task.abort) {
+          state = describeTask(task);
+        } else if (!task) {
+          const lastCrawl = await taskStorage.loadLastCrawl(msg.tabId);
+          if (lastCrawl?.failures.size > 0) {
+            state = { failedPages: lastCrawl.failures.size };
+          }
+        }
+
+        if (state) {
+          try {
+            port.postMessage(state);
+          } catch (_) {
+            // Popup closed before the state was sent
+          }
+        }
+      });
     }
   });
 
@@ -156,3 +442,10 @@ chrome.runtime.onConnect.addListener((port) => {
     taskManager.unsubscribe(port);
   });
 });
+
+chrome.runtime.onStartup.addListener(() => {
+  resumeSavedTasks();
+});
+
+// The worker also restarts mid-crawl when Chrome suspends it, so check on every load
+resumeSavedTasks();
@@ -1,9 +1,32 @@
+/**
+ * Page metadata fields in output order, with their YAML keys and table labels
+ */
+const METADATA_FIELDS = [
+  { name: 'author', key: 'author', label: 'Author' },
+  { name: 'publishedTime', key: 'published', label: 'Published' },
+  { name: 'siteName', key: 'site_name', label: 'Site' },
+  { name: 'language', key: 'language', label: 'Language' },
+  { name: 'description', key: 'description', label: 'Description' },
+  { name: 'excerpt', key: 'excerpt', label: 'Excerpt' },
+  { name: 'canonicalUrl', key: 'canonical_url', label: 'Canonical URL' },
+  { name: 'fetchedAt', key: 'fetched_at', label: 'Fetched' },
+];
+
 /**
  * Builds markdown output from scraped content
  */
 export class MarkdownBuilder {
-  constructor() {
+  /**
+   * @param {Object} options - Builder options
+   * @param {string} options.metadataFormat - 'yaml' (default), 'table' or 'none'
+   * @param {boolean} options.partial - Whether the crawl was stopped before it finished
+   */
+  constructor(options = {}) {
     this.pages = [];
+    this.failures = [];
+    this.metadataFormat = options.metadataFormat ?? 'yaml';
+    this.partial = options.partial === true;
+    this.boilerplate = [];
   }
 
   /**
@@ -11,22 +34,63 @@ export class MarkdownBuilder {
    * @param {string} url - The page URL
    * @param {string} title - The page title
    * @param {string} content - The page content
+   * @param {Object} [metadata] - Page metadata such as author and published time
+   * @param {Object} [details] - How the page was reached
+   * @param {number} [details.depth] - Link hops from the starting page, shown in the table of contents
+   * @param {string[]} [details.aliases] - Other URLs that led to the same page
+   * @param {string[]} [details.nearDuplicates] - Pages collapsed into this one as near-duplicates
    */
-  addPage(url, title, content) {
+  addPage(
+    url,
+    title,
+    content,
+    metadata = null,
+    { depth = null, aliases = [], nearDuplicates = [] } = {}
+  ) {
     this.pages.push({
       url,
       title: title || url,
       content: content || '',
+      metadata: metadata ?? null,
+      depth: Number.isInteger(depth) ? depth : null,
+      aliases: Array.isArray(aliases) ? aliases : [],
+      nearDuplicates: Array.isArray(nearDuplicates) ? nearDuplicates : [],
     });
   }
 
+  /**
+   * Adds pages that could not be scraped, for the failed pages appendix
+   * @param {Map} failures - Map of URL to { category, message, attempts }
+   */
+  addFailures(failures) {
+    for (const [url, failure] of failures) {
+      this.failures.push({ url, ...failure });
+    }
+  }
+
+  /**
+   * Adds the repeated blocks stripped from pages, for the removed boilerplate appendix
+   * @param {Array<{text: string, pages: number}>} blocks - Stripped blocks
+   */
+  addBoilerplateReport(blocks) {
+    this.boilerplate.push(...blocks);
+  }
+
   /**
    * Adds multiple pages from a content map
    * @param {Map} contentMap - Map of URL to content data
+   * @param {Object} [details] - Per-page crawl details
+   * @param {Map} [details.depths] - Map of URL to link depth
+   * @param {Map} [details.aliases] - Map of URL to the other URLs that led to it
+   * @param {Map} [details.nearDuplicates] - Map of URL to the pages collapsed into it
    */
-  addFromContentMap(contentMap) {
+  addFromContentMap(contentMap, { depths = null, aliases = null, nearDuplicates = null } = {}) {
     for (const [url, data] of contentMap) {
-      this.addPage(url, data.title, data.textContent);
+      this.addPage(url, data.title, data.textContent, data.metadata, {
+        depth: depths?.get(url),
+        aliases: aliases?.get(url),
+        nearDuplicates: nearDuplicates?.get(url),
+      });
     }
   }
 
@@ -35,16 +99,73 @@ export class MarkdownBuilder {
    * @returns {string} - The complete markdown document
    */
   build() {
+    const notice = this.partial ? this.buildPartialNotice() : '';
+
     if (this.pages.length === 0) {
-      return '# No Content\n\nNo pages were successfully scraped.';
+      const empty = `${notice}# No Content\n\nNo pages were successfully scraped.`;
+      return this.failures.length > 0 ? `${empty}\n\n${this.buildFailureReport()}` : empty;
     }
 
-    let markdown = this.buildTableOfContents();
+    let markdown = notice;
+    markdown += this.buildTableOfContents();
     markdown += this.buildContent();
+    markdown += this.buildFailureReport();
+    markdown += this.buildBoilerplateReport();
 
     return markdown;
   }
 
+  /**
+   * Builds the appendix listing pages that failed to scrape
+   * @returns {string} - Empty when nothing failed
+   */
+  buildFailureReport() {
+    if (this.failures.length === 0) {
+      return '';
+    }
+
+    let report = '# Failed Pages\n\n| URL | Reason | Attempts |\n| --- | --- | --- |\n';
+    this.failures.forEach((failure) => {
+      const reason = failure.message ? `${failure.category}: ${failure.message}` : failure.category;
+      const cell = reason.replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+      report += `| ${failure.url} | ${cell} | ${failure.attempts ?? ''} |\n`;
+    });
+
+    return report;
+  }
+
+  /**
+   * Builds the appendix listing repeated blocks stripped from pages
+   * @returns {string} - Empty when nothing was stripped
+   */
+  buildBoilerplateReport() {
+    if (this.boilerplate.length === 0) {
+      return '';
+    }
+
+    let report = '# Removed Boilerplate\n\n| Repeated text | Pages |\n| --- | --- |\n';
+    this.boilerplate.forEach((block) => {
+      const text = block.text.replace(/\s+/g, ' ').trim();
+      const shortened = text.length > 120 ? `${text.slice(0, 117)}...` : text;
+      report += `| ${shortened.replace(/\|/g, '\\|')} | ${block.pages} |\n`;
+    });
+
+    return report;
+  }
+
+  /**
+   * Builds the notice shown at the top of a stopped crawl's export
+   * @returns {string}
+   */
+  buildPartialNotice() {
+    const count = this.pages.length;
+    return (
+      '> **Partial crawl:** this crawl was stopped before it finished. ' +
+      `It contains ${count} captured page${count === 1 ? '' : 's'}; ` +
+      'pages still queued were not scraped.\n\n'
+    );
+  }
+
   /**
    * Builds the table of contents section
    * @returns {string}
@@ -53,7 +174,8 @@ export class MarkdownBuilder {
     let toc = '# Table of Contents\n\n';
 
     this.pages.forEach((page, index) => {
-      toc += `${index + 1}. [${this.escapeMarkdown(page.title)}](${page.url})\n`;
+      const depth = page.depth === null ? '' : ` (depth ${page.depth})`;
+      toc += `${index + 1}. [${this.escapeMarkdown(page.title)}](${page.url})${depth}\n`;
     });
 
     toc += '\n---\n\n';
@@ -68,15 +190,124 @@ export class MarkdownBuilder {
     let content = '';
 
     this.pages.forEach((page) => {
-      content += `# ${this.escapeMarkdown(page.title)}\n`;
-      content += `**URL:** ${page.url}\n\n`;
-      content += `${page.content}\n\n`;
-      content += '---\n\n';
+      content += this.buildPageSection(page);
     });
 
     return content;
   }
 
+  /**
+   * Builds the document in pieces, loading each page's content only when its
+   * section is written, so large crawls never hold every page at once
+   * @param {Function} loadContent - async (url) => page content
+   * @returns {AsyncGenerator<string>}
+   */
+  async *buildStream(loadContent) {
+    if (this.pages.length === 0) {
+      yield this.build();
+      return;
+    }
+
+    yield (this.partial ? this.buildPartialNotice() : '') + this.buildTableOfContents();
+
+    for (const page of this.pages) {
+      const content = (await loadContent(page.url)) || page.content;
+      yield this.buildPageSection({ ...page, content });
+    }
+
+    if (this.failures.length > 0) {
+      yield this.buildFailureReport();
+    }
+
+    if (this.boilerplate.length > 0) {
+      yield this.buildBoilerplateReport();
+    }
+  }
+
+  /**
+   * Builds the section for a single page
+   * @param {Object} page - A page added with addPage
+   * @returns {string}
+   */
+  buildPageSection(page) {
+    const metadata = this.getMetadataEntries(page);
+    let content = '';
+
+    if (this.metadataFormat === 'yaml' && metadata.length > 0) {
+      content += this.buildFrontMatter(page, metadata);
+    }
+
+    content += `# ${this.escapeMarkdown(page.title)}\n`;
+    content += `**URL:** ${page.url}\n`;
+    if (page.aliases.length > 0) {
+      content += `**Also reached from:** ${page.aliases.join(', ')}\n`;
+    }
+    if (page.nearDuplicates.length > 0) {
+      content += `**Near-duplicates collapsed here:** ${page.nearDuplicates.join(', ')}\n`;
+    }
+    content += '\n';
+
+    if (this.metadataFormat === 'table' && metadata.length > 0) {
+      content += this.buildMetadataTable(metadata);
+    }
+
+    content += `${page.content}\n\n`;
+    content += '---\n\n';
+
+    return content;
+  }
+
+  /**
+   * Collects the non-empty metadata fields of a page in output order
+   * @param {Object} page - A page added with addPage
+   * @returns {Array<{key: string, label: string, value: string}>}
+   */
+  getMetadataEntries(page) {
+    if (!page.metadata || typeof page.metadata !== 'object') {
+      return [];
+    }
+
+    const entries = METADATA_FIELDS.map((field) => ({
+      key: field.key,
+      label: field.label,
+      value: String(page.metadata[field.name] ?? '')
+        .replace(/\s+/g, ' ')
+        .trim(),
+    }));
+
+    // Readability falls back to the meta description for the excerpt
+    const description = entries.find((entry) => entry.key === 'description')?.value;
+    return entries.filter(
+      (entry) => entry.value && !(entry.key === 'excerpt' && entry.value === description)
+    );
+  }
+
+  /**
+   * Builds a YAML front matter block for a page section
+   * @param {Object} page - A page added with addPage
+   * @param {Array} metadata - Entries from getMetadataEntries
+   * @returns {string}
+   */
+  buildFrontMatter(page, metadata) {
+    // JSON strings are valid double-quoted YAML scalars
+    const lines = [`title: ${JSON.stringify(page.title)}`, `url: ${JSON.stringify(page.url)}`];
+    metadata.forEach((entry) => lines.push(`${entry.key}: ${JSON.stringify(entry.value)}`));
+    return `---\n${lines.join('\n')}\n---\n\n`;
+  }
+
+  /**
+   * Builds a two-column metadata table for a page section
+   * @param {Array} metadata - Entries from getMetadataEntries
+   * @returns {string}
+   */
+  buildMetadataTable(metadata) {
+    let table = '| Field | Value |\n| --- | --- |\n';
+    metadata.forEach((entry) => {
+      table += `| ${entry.label} | ${entry.value.replace(/\|/g, '\\|')} |\n`;
+    });
+    return `${table}\n`;
+  }
+
   /**
    * Escapes special markdown characters in text
    * @param {string} text - Text to escape
@@ -0,0 +1,111 @@
+import { CONFIG } from '../shared/config.js';
+import { SafeChromeAPI } from '../shared/safeChromeAPI.js';
+
+/**
+ * The extension's offscreen document, which does the DOM and Blob work the
+ * background worker cannot: parsing fetched pages and building export files.
+ */
+export class OffscreenDocument {
+  constructor() {
+    this.ready = null;
+  }
+
+  /**
+   * Sends the offscreen document a request
+   * @param {string} action - The request name
+   * @param {Object} payload - Request fields
+   * @returns {Promise<Object>} - The response, without its success flag
+   */
+  async send(action, payload = {}) {
+    await this.ensureOpen();
+    const response = await SafeChromeAPI.runtime('sendMessage', {
+      ...payload,
+      target: 'offscreen',
+      action,
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error ?? 'no response from the offscreen document');
+    }
+    return response;
+  }
+
+  /**
+   * Writes an export into a Blob in the offscreen document, a batch of
+   * parts at a time, so the worker never holds more than one batch
+   * @param {string} exportId - Identifies the export while it is written
+   * @param {AsyncIterable<string>} parts - The export text, in order
+   * @returns {Promise<string>} - An object URL for the Blob, to download and then revoke
+   */
+  async createBlobUrl(exportId, parts) {
+    await this.send('startExport', { exportId });
+
+    try {
+      let batch = '';
+      for await (const part of parts) {
+        batch += part;
+        if (batch.length >= CONFIG.OFFSCREEN.EXPORT_BATCH_CHARS) {
+          await this.send('appendExport', { exportId, text: batch });
+          batch = '';
+        }
+      }
+      if (batch) {
+        await this.send('appendExport', { exportId, text: batch });
+      }
+    } catch (error) {
+      await this.send('discardExport', { exportId }).catch(() => undefined);
+      throw error;
+    }
+
+    const { url } = await this.send('finishExport', {
+      exportId,
+      type: 'text/markdown;charset=utf-8',
+    });
+    return url;
+  }
+
+  /**
+   * Frees a Blob made by createBlobUrl
+   * @param {string} url - The object URL
+   * @returns {Promise<void>}
+   */
+  async revokeBlobUrl(url) {
+    await this.send('revokeExport', { url });
+  }
+
+  /**
+   * Opens the offscreen document unless it is already open. An extension
+   * may have only one, so concurrent callers share the same request.
+   * @returns {Promise<void>}
+   */
+  ensureOpen() {
+    if (!this.ready) {
+      this.ready = this.open().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async open() {
+    const documentUrl = chrome.runtime.getURL(CONFIG.OFFSCREEN.DOCUMENT);
+    // The document outlives a restarted worker, so look for one first
+    const existing = await chrome.runtime.getContexts?.({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [documentUrl],
+    });
+    if (existing?.length > 0) {
+      return;
+    }
+
+    await chrome.offscreen.createDocument({
+      url: CONFIG.OFFSCREEN.DOCUMENT,
+      reasons: ['DOM_PARSER', 'BLOBS'],
+      justification: 'Parse downloaded pages and build export files for download',
+    });
+  }
+}
+
+// An extension may have only one offscreen document, so the worker shares one handle
+export const offscreenDocument = new OffscreenDocument();
@@ -0,0 +1,79 @@
+import { CONFIG } from '../shared/config.js';
+import { offscreenDocument } from './offscreenDocument.js';
+
+/**
+ * Loads pages without a tab: downloads the HTML with fetch and has the
+ * offscreen document parse it, since the background worker has no DOM.
+ * Pages that cannot be read this way are left to the tab pipeline.
+ */
+export class PageFetcher {
+  /**
+   * @param {Object} options - Fetcher options
+   * @param {Function} options.fetcher - fetch-compatible function
+   * @param {OffscreenDocument} options.offscreen - Parses the downloaded HTML
+   */
+  constructor({ fetcher = (...args) => fetch(...args), offscreen = offscreenDocument } = {}) {
+    this.fetcher = fetcher;
+    this.offscreen = offscreen;
+  }
+
+  /**
+   * Downloads and parses a page
+   * @param {string} url - The page URL
+   * @returns {Promise<{page: Object|null, fallbackReason: string|null}>} - The extracted
+   *   page in the shape a tab returns, or why the page needs a tab instead
+   */
+  async fetchPage(url) {
+    let response;
+    try {
+      response = await this.fetcher(url, {
+        credentials: 'include',
+        redirect: 'follow',
+        signal: AbortSignal.timeout(CONFIG.TIMEOUTS.TAB_LOAD),
+      });
+    } catch (error) {
+      return { page: null, fallbackReason: `the download failed (${error.message})` };
+    }
+
+    const finalUrl = response.url || url;
+    // Throttling is handled like a tab that loaded a 429 or 503 page
+    if (CONFIG.RATE_LIMIT.THROTTLE_STATUSES.includes(response.status)) {
+      return { page: { url: finalUrl, status: response.status }, fallbackReason: null };
+    }
+
+    const contentType = response.headers?.get('content-type') ?? '';
+    if (contentType && !/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+      return { page: null, fallbackReason: `the response is ${contentType.split(';')[0]}` };
+    }
+
+    let parsed;
+    try {
+      parsed = await this.parseOffscreen(await response.text(), finalUrl);
+    } catch (error) {
+      return { page: null, fallbackReason: `parsing failed (${error.message})` };
+    }
+
+    if (parsed.clientRendered) {
+      return { page: null, fallbackReason: parsed.clientRendered };
+    }
+
+    const page = { ...parsed, url: finalUrl, status: response.status };
+    delete page.clientRendered;
+    return { page, fallbackReason: null };
+  }
+
+  /**
+   * Has the offscreen document extract a page from its HTML
+   * @param {string} html - The page HTML
+   * @param {string} url - The URL the HTML came from
+   * @returns {Promise<Object>} - The extracted page, with clientRendered set
+   */
+  async parseOffscreen(html, url) {
+    const { page } = await this.offscreen.send('parsePage', {
+      html,
+      url,
+      minTextLength: CONFIG.STATIC_FETCH.MIN_TEXT_LENGTH,
+    });
+    return page;
+  }
+}
@@ -0,0 +1,118 @@
+const DB_NAME = 'webpage-scraper-pages';
+const DB_VERSION = 1;
+const STORE_NAME = 'pages';
+
+/**
+ * IndexedDB-backed store for captured page content. Pages are keyed by
+ * [runId, url] so each crawl run can be read back or deleted as a unit,
+ * keeping large crawls on disk instead of in service worker memory.
+ */
+export class PageStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Checks whether IndexedDB exists in this context
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    return typeof globalThis.indexedDB?.open === 'function';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, {
+            keyPath: ['runId', 'url'],
+          });
+          store.createIndex('runId', 'runId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  async transaction(mode, operation) {
+    const db = await this.open();
+    const tx = db.transaction(STORE_NAME, mode);
+    const result = operation(tx.objectStore(STORE_NAME));
+
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error ?? new Error('Page store transaction aborted'));
+    });
+
+    return result instanceof IDBRequest ? result.result : result;
+  }
+
+  /**
+   * Saves a page
+   * @param {string} runId - The crawl run the page belongs to
+   * @param {string} url - The normalised page URL
+   * @param {Object} entry - Page data (title, textContent, metadata)
+   * @returns {Promise<void>}
+   */
+  async put(runId, url, entry) {
+    await this.transaction('readwrite', (store) => store.put({ ...entry, runId, url }));
+  }
+
+  /**
+   * Reads a page
+   * @param {string} runId - The crawl run the page belongs to
+   * @param {string} url - The normalised page URL
+   * @returns {Promise<Object|null>}
+   */
+  async get(runId, url) {
+    const record = await this.transaction('readonly', (store) => store.get([runId, url]));
+    return record ?? null;
+  }
+
+  /**
+   * Deletes every page of a crawl run
+   * @param {string} runId - The crawl run to delete
+   * @returns {Promise<void>}
+   */
+  async deleteRun(runId) {
+    // Array keys sort after strings, so [runId, []] is above every [runId, url]
+    const range = IDBKeyRange.bound([runId], [runId, []]);
+    await this.transaction('readwrite', (store) => store.delete(range));
+  }
+
+  /**
+   * Deletes pages left behind by runs that are no longer active
+   * @param {string[]} activeRunIds - Runs whose pages must be kept
+   * @returns {Promise<void>}
+   */
+  async deleteAllExcept(activeRunIds) {
+    const keep = new Set(activeRunIds);
+    const runIds = await this.transaction('readonly', (store) => {
+      const found = [];
+      const request = store.index('runId').openKeyCursor(null, 'nextunique');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          found.push(cursor.key);
+          cursor.continue();
+        }
+      };
+      return found;
+    });
+
+    for (const runId of runIds) {
+      if (!keep.has(runId)) {
+        await this.deleteRun(runId);
+      }
+    }
+  }
+}
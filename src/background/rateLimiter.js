@@ -0,0 +1,123 @@
+import { CONFIG } from '../shared/config.js';
+import { extractDomain } from '../shared/utils.js';
+
+/**
+ * Spaces out page requests to each host with a token bucket. A host that
+ * answers 429 or 503, or fails several pages in a row, has its rate halved
+ * and gets a pause; each later success wins back part of the target rate.
+ */
+export class HostRateLimiter {
+  /**
+   * @param {Function} now - Clock in milliseconds, replaceable in tests
+   */
+  constructor(now = () => Date.now()) {
+    this.now = now;
+    this.hosts = new Map();
+  }
+
+  /**
+   * Takes a request token for a URL's host
+   * @param {string} url - The page about to be requested
+   * @param {number} targetRate - Requests per second the task allows each host
+   * @returns {number} - Milliseconds to wait before making the request
+   */
+  reserve(url, targetRate) {
+    const bucket = this.getBucket(url, targetRate);
+    this.refill(bucket);
+
+    // Tokens go negative while requests are waiting their turn
+    bucket.tokens -= 1;
+    return bucket.tokens >= 0 ? 0 : Math.ceil((-bucket.tokens / bucket.rate) * 1000);
+  }
+
+  /**
+   * Records a page that loaded, recovering part of the host's target rate
+   * @param {string} url - The page URL
+   */
+  recordSuccess(url) {
+    const bucket = this.hosts.get(extractDomain(url));
+    if (!bucket) {
+      return;
+    }
+
+    this.refill(bucket);
+    bucket.failures = 0;
+    bucket.rate = Math.min(
+      bucket.target,
+      bucket.rate + bucket.target * CONFIG.RATE_LIMIT.RECOVERY_STEP
+    );
+  }
+
+  /**
+   * Records a page that failed. Throttling responses back off at once;
+   * other errors back off after a burst of them.
+   * @param {string} url - The page URL
+   * @param {Object} options - What went wrong
+   * @param {boolean} options.throttled - Whether the server answered 429 or 503
+   * @returns {boolean} - Whether the host's rate was lowered
+   */
+  recordFailure(url, { throttled = false } = {}) {
+    const bucket = this.hosts.get(extractDomain(url));
+    if (!bucket) {
+      return false;
+    }
+
+    bucket.failures += 1;
+    if (!throttled && bucket.failures < CONFIG.RATE_LIMIT.ERROR_BURST) {
+      return false;
+    }
+
+    const { BACKOFF_FACTOR, BACKOFF_PAUSE_MS } = CONFIG.RATE_LIMIT;
+    this.refill(bucket);
+    bucket.failures = 0;
+    bucket.rate = Math.max(CONFIG.LIMITS.MIN_REQUESTS_PER_SECOND, bucket.rate * BACKOFF_FACTOR);
+    // The pause is a token debt, so waiting requests resume one by one
+    bucket.tokens = Math.min(bucket.tokens, 0) - (bucket.rate * BACKOFF_PAUSE_MS) / 1000;
+    return true;
+  }
+
+  /**
+   * Gets the current rate for a URL's host, rounded for display
+   * @param {string} url - Any URL on the host
+   * @returns {{host: string, rate: number, target: number}|null}
+   */
+  getRate(url) {
+    const host = extractDomain(url);
+    const bucket = this.hosts.get(host);
+    if (!bucket) {
+      return null;
+    }
+
+    return { host, rate: Math.round(bucket.rate * 100) / 100, target: bucket.target };
+  }
+
+  getBucket(url, targetRate) {
+    const host = extractDomain(url);
+    let bucket = this.hosts.get(host);
+
+    if (!bucket) {
+      bucket = {
+        target: targetRate,
+        rate: targetRate,
+        tokens: CONFIG.RATE_LIMIT.BURST,
+        updatedAt: this.now(),
+        failures: 0,
+      };
+      this.hosts.set(host, bucket);
+    } else if (bucket.target !== targetRate) {
+      // Tasks sharing a host share its bucket; the latest target applies
+      this.refill(bucket);
+      bucket.target = targetRate;
+      bucket.rate = Math.min(bucket.rate, targetRate);
+    }
+
+    return bucket;
+  }
+
+  refill(bucket) {
+    const now = this.now();
+    const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(CONFIG.RATE_LIMIT.BURST, bucket.tokens + elapsed * bucket.rate);
+    bucket.updatedAt = now;
+  }
+}
@@ -0,0 +1,229 @@
+import { CONFIG } from '../shared/config.js';
+
+// RFC 9309 lets crawlers stop parsing after the first 500 KiB
+const MAX_ROBOTS_LENGTH = 500 * 1024;
+
+/**
+ * Turns a robots.txt path pattern into a regular expression. "*" matches any
+ * run of characters and a trailing "$" anchors the pattern to the end.
+ * @param {string} pattern - The Allow or Disallow value
+ * @returns {RegExp}
+ */
+function compilePathPattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * The rules one robots.txt file sets for this crawler
+ */
+export class RobotsRules {
+  /**
+   * @param {Object} options - Parsed rules
+   * @param {Array<{allow: boolean, pattern: string}>} options.rules - Allow and Disallow lines
+   * @param {number|null} options.crawlDelay - Seconds to wait between requests, if set
+   * @param {string[]} options.sitemaps - Sitemap URLs listed in the file
+   */
+  constructor({ rules = [], crawlDelay = null, sitemaps = [] } = {}) {
+    this.rules = rules.map((rule) => ({ ...rule, regex: compilePathPattern(rule.pattern) }));
+    this.crawlDelay = crawlDelay;
+    this.sitemaps = sitemaps;
+  }
+
+  static allowAll() {
+    return new RobotsRules();
+  }
+
+  static disallowAll() {
+    return new RobotsRules({ rules: [{ allow: false, pattern: '/' }] });
+  }
+
+  /**
+   * Checks a URL against the rules. The longest matching pattern wins, and
+   * Allow wins a tie.
+   * @param {string} url - The URL to check
+   * @returns {boolean}
+   */
+  isAllowed(url) {
+    let target;
+    try {
+      const urlObj = new URL(url);
+      target = `${urlObj.pathname}${urlObj.search}`;
+    } catch (_) {
+      return false;
+    }
+
+    if (target === '/robots.txt') {
+      return true;
+    }
+
+    let match = null;
+    for (const rule of this.rules) {
+      if (!rule.regex.test(target)) {
+        continue;
+      }
+
+      const longer = !match || rule.pattern.length > match.pattern.length;
+      const tieAllow = match && rule.pattern.length === match.pattern.length && rule.allow;
+      if (longer || tieAllow) {
+        match = rule;
+      }
+    }
+
+    return match ? match.allow : true;
+  }
+}
+
+/**
+ * Parses a robots.txt file, keeping the group for this crawler's user-agent
+ * token, or the "*" group when no group names it
+ * @param {string} text - The robots.txt body
+ * @param {string} userAgentToken - This crawler's product token
+ * @returns {RobotsRules}
+ */
+export function parseRobotsTxt(text, userAgentToken = CONFIG.ROBOTS.USER_AGENT_TOKEN) {
+  const token = userAgentToken.toLowerCase();
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let inAgentLines = false;
+
+  for (const rawLine of String(text ?? '')
+    .slice(0, MAX_ROBOTS_LENGTH)
+    .split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!inAgentLines) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      inAgentLines = true;
+      continue;
+    }
+
+    inAgentLines = false;
+
+    if (key === 'sitemap') {
+      if (value) {
+        sitemaps.push(value);
+      }
+    } else if (!current) {
+      continue;
+    } else if ((key === 'allow' || key === 'disallow') && value) {
+      current.rules.push({ allow: key === 'allow', pattern: value });
+    } else if (key === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) {
+        current.crawlDelay = seconds;
+      }
+    }
+  }
+
+  const named = groups.filter((group) => group.agents.some((agent) => agent === token));
+  const selected = named.length > 0 ? named : groups.filter((g) => g.agents.includes('*'));
+  const delays = selected.map((group) => group.crawlDelay).filter((value) => value !== null);
+
+  return new RobotsRules({
+    rules: selected.flatMap((group) => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    sitemaps,
+  });
+}
+
+/**
+ * Fetches robots.txt once per origin and spaces out requests to origins
+ * that set a Crawl-delay
+ */
+export class RobotsCache {
+  /**
+   * @param {Function} fetcher - fetch-compatible function, replaceable in tests
+   */
+  constructor(fetcher = (...args) => fetch(...args)) {
+    this.fetcher = fetcher;
+    this.entries = new Map();
+    this.nextRequestAt = new Map();
+  }
+
+  /**
+   * Gets the rules for a URL's origin, fetching them on first use
+   * @param {string} url - Any URL on the origin
+   * @returns {Promise<RobotsRules>}
+   */
+  getRules(url) {
+    const origin = new URL(url).origin;
+    const cached = this.entries.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < CONFIG.ROBOTS.CACHE_TTL) {
+      return cached.rules;
+    }
+
+    const rules = this.fetchRules(origin);
+    this.entries.set(origin, { rules, fetchedAt: Date.now() });
+    return rules;
+  }
+
+  /**
+   * Checks whether robots.txt lets the crawler fetch a URL
+   * @param {string} url - The URL to check
+   * @returns {Promise<boolean>}
+   */
+  async isAllowed(url) {
+    const rules = await this.getRules(url);
+    return rules.isAllowed(url);
+  }
+
+  /**
+   * Books the next request slot for a URL's origin under its Crawl-delay
+   * @param {string} url - The URL about to be requested
+   * @returns {Promise<number>} - Milliseconds to wait before requesting it
+   */
+  async reserveRequestSlot(url) {
+    const rules = await this.getRules(url);
+    if (!rules.crawlDelay) {
+      return 0;
+    }
+
+    const origin = new URL(url).origin;
+    const interval = Math.min(rules.crawlDelay * 1000, CONFIG.ROBOTS.MAX_CRAWL_DELAY_MS);
+    const now = Date.now();
+    const slot = Math.max(now, this.nextRequestAt.get(origin) ?? 0);
+
+    this.nextRequestAt.set(origin, slot + interval);
+    return slot - now;
+  }
+
+  async fetchRules(origin) {
+    try {
+      const response = await this.fetcher(`${origin}/robots.txt`, {
+        credentials: 'omit',
+        signal: AbortSignal.timeout(CONFIG.ROBOTS.FETCH_TIMEOUT),
+      });
+
+      if (response.ok) {
+        return parseRobotsTxt(await response.text());
+      }
+
+      // A missing robots.txt allows everything; a server error means the
+      // site's wishes are unknown, so RFC 9309 says to crawl nothing
+      return response.status >= 500 ? RobotsRules.disallowAll() : RobotsRules.allowAll();
+    } catch (error) {
+      console.warn(`Could not fetch robots.txt for ${origin}:`, error.message);
+      return RobotsRules.disallowAll();
+    }
+  }
+}
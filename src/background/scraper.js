@@ -1,13 +1,98 @@
 import { CONFIG } from '../shared/config.js';
 import { delay, isValidUrl, hasExcludedExtension } from '../shared/utils.js';
 import { SafeChromeAPI } from '../shared/safeChromeAPI.js';
+import { RobotsCache } from './robotsTxt.js';
+import { SitemapLoader } from './sitemap.js';
+import { HostRateLimiter } from './rateLimiter.js';
+import { PageFetcher } from './pageFetcher.js';
+import { TabPool } from './tabPool.js';
+
+/**
+ * Error raised while scraping a page, tagged with a failure category
+ */
+export class ScrapeError extends Error {
+  constructor(message, category) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.category = category;
+  }
+}
+
+/**
+ * Sorts a scraping error into a failure category
+ * @param {Error} error - The error thrown while scraping
+ * @returns {string} - 'timeout', 'empty-content', 'tab-crashed', 'rate-limited', 'blocked'
+ *   or 'error'
+ */
+export function categorizeFailure(error) {
+  if (error instanceof ScrapeError) {
+    return error.category;
+  }
+
+  const message = error?.message ?? '';
+  if (/timed? ?out/i.test(message)) {
+    return 'timeout';
+  }
+  if (/crash|tab was closed|No tab with id|Frame with ID \d+ was removed/i.test(message)) {
+    return 'tab-crashed';
+  }
+  if (/Cannot access|permission|chrome-error/i.test(message)) {
+    return 'blocked';
+  }
+  return 'error';
+}
 
 export class PageScraper {
-  constructor(taskManager) {
+  /**
+   * @param {TaskManager} taskManager - Receives status updates
+   * @param {RobotsCache} robots - Shared robots.txt cache
+   * @param {SitemapLoader} sitemaps - Reads sitemaps for seeding crawls
+   * @param {HostRateLimiter} rateLimiter - Shared per-host request rate limiter
+   * @param {PageFetcher} pageFetcher - Loads pages without a tab in the fetch mode
+   */
+  constructor(
+    taskManager,
+    robots = new RobotsCache(),
+    sitemaps = new SitemapLoader(),
+    rateLimiter = new HostRateLimiter(),
+    pageFetcher = new PageFetcher()
+  ) {
     this.taskManager = taskManager;
+    this.robots = robots;
+    this.sitemaps = sitemaps;
+    this.rateLimiter = rateLimiter;
+    this.pageFetcher = pageFetcher;
+    // Keyed by task object: a stopped crawl winding down and a new one on the
+    // same tab share a task ID but not their tabs
+    this.tabPools = new Map();
+  }
+
+  /**
+   * Fetches robots.txt for the starting site before a crawl that follows it
+   * @param {TaskState} task - The task about to run
+   * @returns {Promise<void>}
+   */
+  async loadRobotsRules(task) {
+    if (!task.respectsRobotsTxt()) {
+      return;
+    }
+
+    const rules = await this.robots.getRules(task.startingUrl);
+    const delayNote = rules.crawlDelay ? `, crawl delay ${rules.crawlDelay}s` : '';
+    this.taskManager.sendStatus(task.taskId, {
+      debug: `Following robots.txt for ${task.startingDomain}${delayNote}`,
+    });
   }
 
-  async scrape(task, url) {
+  /**
+   * Scrapes one page in a background tab, or with fetch when the task's fetch
+   * mode allows it
+   * @param {TaskState} task - The task the page belongs to
+   * @param {string} url - The page URL
+   * @param {ConcurrencyController} loadMonitor - Told how long the tab took to load, if set
+   * @returns {Promise<boolean>} - Whether the page was captured
+   */
+  async scrape(task, url, loadMonitor = null) {
     if (!task || task.abort) {
       return false;
     }
@@ -29,29 +114,86 @@ export class PageScraper {
     }
 
     let tab = null;
-    task.inProgress += 1;
-    task.markChanged();
+    let tabReusable = false;
+    let retryDelay = null;
+    let loadStartedAt = null;
+    task.markPageStarted(url);
 
     try {
-      tab = await SafeChromeAPI.tabs('create', { url, active: false });
-      if (!tab || typeof tab.id !== 'number') {
-        throw new Error('Failed to create background tab');
+      await this.waitForRateLimit(task, url);
+      await this.waitForCrawlDelay(task, url);
+      // The task may have been stopped while the page waited its turn
+      if (task.abort) {
+        return false;
+      }
+
+      let content = null;
+      if (task.settings.fetchMode === 'fetch') {
+        loadStartedAt = Date.now();
+        content = await this.fetchWithoutTab(task, url);
+        if (content) {
+          loadMonitor?.recordPage({ loadMs: Date.now() - loadStartedAt });
+        } else {
+          // Opening the tab is a second request to the host
+          await this.waitForRateLimit(task, url);
+          if (task.abort) {
+            return false;
+          }
+        }
+      }
+
+      if (!content) {
+        tab = await this.acquireTab(task, url);
+        if (!tab) {
+          throw new ScrapeError('Failed to create background tab', 'tab-crashed');
+        }
+
+        loadStartedAt = Date.now();
+        await this.navigateTab(tab, url);
+        // A tab is only handed to the next page once it has stopped loading this one
+        tabReusable = true;
+        loadMonitor?.recordPage({ loadMs: Date.now() - loadStartedAt });
+        await this.injectExtractionScripts(tab.id);
+        content = await this.extractContent(tab.id);
       }
 
-      await this.waitForTabLoad(tab.id);
-      await this.injectReadability(tab.id);
-      const content = await this.extractContent(tab.id);
+      if (CONFIG.RATE_LIMIT.THROTTLE_STATUSES.includes(content?.status)) {
+        throw new ScrapeError(`Server answered HTTP ${content.status}`, 'rate-limited');
+      }
 
       if (!content || !content.content || content.content.trim().length === 0) {
-        throw new Error('Content extraction returned empty result');
+        throw new ScrapeError('Content extraction returned empty result', 'empty-content');
       }
 
-      task.addContent(url, {
+      const added = task.addContent(url, {
         title: content.title,
         textContent: content.content,
+        finalUrl: content.url,
+        metadata: {
+          ...content.metadata,
+          fetchedAt: new Date().toISOString(),
+        },
       });
 
-      this.enqueueDiscoveredLinks(task, content.links);
+      const requested = task.normalize(url);
+      const pageUrl = task.aliases.get(requested) ?? requested;
+      const nearDuplicate = added ? null : task.nearDuplicates.get(pageUrl);
+
+      // Links are followed even from a page captured under another URL: a
+      // site that names its home page as every page's canonical URL would
+      // otherwise stop after the first round. Seen URLs are not queued again.
+      await this.enqueueDiscoveredLinks(task, content.links, task.getDepth(url) + 1);
+
+      if (nearDuplicate) {
+        const percent = Math.round(nearDuplicate.similarity * 100);
+        this.taskManager.sendStatus(task.taskId, {
+          debug: `Collapsed near-duplicate: ${url} is ${percent}% similar to ${nearDuplicate.keptUrl}`,
+        });
+      } else if (!added) {
+        this.taskManager.sendStatus(task.taskId, {
+          debug: `Skipped duplicate: ${url} was already captured as ${pageUrl}`,
+        });
+      }
 
       this.taskManager.sendStatus(task.taskId, {
         status: `Scraped ${task.processed + 1} page(s)`,
@@ -61,54 +203,212 @@ export class PageScraper {
           task.processed + task.queue.length + task.inProgress
         ),
         debug: `Captured ${url}`,
+        requestRate: this.rateLimiter.getRate(url),
       });
+      this.rateLimiter.recordSuccess(url);
 
       return true;
     } catch (error) {
-      this.taskManager.sendStatus(task.taskId, {
-        status: 'Page scraping failed',
-        debug: `Failed to scrape ${url}: ${error.message}`,
-      });
+      const category = categorizeFailure(error);
+      if (category === 'tab-crashed') {
+        tabReusable = false;
+      }
+      if (category === 'timeout' && loadStartedAt !== null) {
+        loadMonitor?.recordPage({ loadMs: Date.now() - loadStartedAt, timedOut: true });
+      }
+      this.recordRequestFailure(task, url, category);
+      retryDelay = this.getRetryDelay(task, url, category);
+
+      if (retryDelay !== null) {
+        const attempts = task.getAttemptCount(url);
+        this.taskManager.sendStatus(task.taskId, {
+          status: 'Retrying page',
+          debug:
+            `Retrying ${url} in ${retryDelay}ms after ${category} ` +
+            `(attempt ${attempts + 1} of ${CONFIG.LIMITS.MAX_RETRIES + 1})`,
+        });
+      } else {
+        task.recordFailure(url, category, error.message);
+        this.taskManager.sendStatus(task.taskId, {
+          status: 'Page scraping failed',
+          debug: `Failed to scrape ${url} (${category}): ${error.message}`,
+        });
+      }
       return false;
     } finally {
-      task.inProgress = Math.max(0, task.inProgress - 1);
-      task.processed += 1;
-      task.markChanged();
+      if (retryDelay === null) {
+        task.markPageFinished(url);
+      }
+
+      if (tab) {
+        await this.releaseTab(task, tab.id, tabReusable);
+      }
 
-      if (tab?.id !== undefined) {
-        await SafeChromeAPI.tabs('remove', tab.id).catch(() => undefined);
+      // The page keeps its slot while it waits, so the task cannot finish early
+      if (retryDelay !== null) {
+        if (!task.abort) {
+          await delay(retryDelay);
+        }
+        task.requeuePage(url);
       }
 
-      if (task.settings.delay > 0) {
-        await delay(task.settings.delay);
-      } else if (CONFIG.TIMEOUTS.BETWEEN_REQUESTS > 0) {
-        await delay(CONFIG.TIMEOUTS.BETWEEN_REQUESTS);
+      // A stopped task makes no more requests, so they need no spacing
+      const spacing =
+        task.settings.delay > 0 ? task.settings.delay : CONFIG.TIMEOUTS.BETWEEN_REQUESTS;
+      if (spacing > 0 && !task.abort) {
+        await delay(spacing);
       }
     }
   }
 
-  enqueueDiscoveredLinks(task, links) {
-    if (!task || !task.settings.crawlMode || !Array.isArray(links)) {
+  /**
+   * Downloads and parses a page without opening a tab
+   * @param {TaskState} task - The task the page belongs to
+   * @param {string} url - The page URL
+   * @returns {Promise<Object|null>} - The extracted page, or null when it needs a tab
+   */
+  async fetchWithoutTab(task, url) {
+    const { page, fallbackReason } = await this.pageFetcher.fetchPage(url);
+    if (fallbackReason) {
+      this.taskManager.sendStatus(task.taskId, {
+        debug: `Opening ${url} in a tab: ${fallbackReason}`,
+      });
+      return null;
+    }
+    return page;
+  }
+
+  /**
+   * Tells the rate limiter a page failed, and the popup if that slowed its host down
+   * @param {TaskState} task - The task the page belongs to
+   * @param {string} url - The page URL
+   * @param {string} category - Failure category from categorizeFailure
+   */
+  recordRequestFailure(task, url, category) {
+    const throttled = category === 'rate-limited';
+    if (!throttled && !CONFIG.RATE_LIMIT.SERVER_FAILURES.includes(category)) {
+      return;
+    }
+    if (!this.rateLimiter.recordFailure(url, { throttled })) {
+      return;
+    }
+
+    const requestRate = this.rateLimiter.getRate(url);
+    const reason = throttled ? 'the server asked for fewer requests' : 'repeated failures';
+    this.taskManager.sendStatus(task.taskId, {
+      requestRate,
+      debug: `Slowing down to ${requestRate.rate}/s for ${requestRate.host} after ${reason}`,
+    });
+  }
+
+  /**
+   * Works out how long to wait before retrying a failed page
+   * @param {TaskState} task - The task the page belongs to
+   * @param {string} url - The page URL
+   * @param {string} category - Failure category from categorizeFailure
+   * @returns {number|null} - Delay in milliseconds, or null when the page should not be retried
+   */
+  getRetryDelay(task, url, category) {
+    if (task.abort || !CONFIG.RETRYABLE_FAILURES.includes(category)) {
+      return null;
+    }
+
+    const retriesUsed = task.getAttemptCount(url) - 1;
+    if (retriesUsed >= CONFIG.LIMITS.MAX_RETRIES) {
+      return null;
+    }
+
+    const delays = CONFIG.RETRY_DELAYS;
+    return delays[Math.min(retriesUsed, delays.length - 1)] ?? 0;
+  }
+
+  /**
+   * Queues the pages listed in the site's sitemaps, once per task. Sitemaps
+   * come from robots.txt Sitemap lines, or /sitemap.xml when it has none.
+   * @param {TaskState} task - The task about to run
+   * @returns {Promise<void>}
+   */
+  async seedFromSitemaps(task) {
+    if (!task.settings.useSitemap || task.sitemapSeeded) {
+      return;
+    }
+
+    const rules = await this.robots.getRules(task.startingUrl);
+    const sitemapUrls =
+      rules.sitemaps.length > 0 ? rules.sitemaps : [new URL('/sitemap.xml', task.startingUrl).href];
+
+    this.taskManager.sendStatus(task.taskId, { status: 'Reading sitemaps...' });
+    const { urls, sitemapCount } = await this.sitemaps.collect(sitemapUrls, {
+      since: task.getSitemapCutoff(),
+      limit: CONFIG.SITEMAP.MAX_URLS,
+    });
+
+    const added = await this.queueLinks(task, urls, 1);
+    task.markSitemapSeeded();
+    this.taskManager.sendStatus(task.taskId, {
+      debug: `Sitemaps: read ${sitemapCount}, listed ${urls.length} page(s), queued ${added}`,
+    });
+  }
+
+  /**
+   * Queues same-site links found on a page
+   * @param {TaskState} task - The task the page belongs to
+   * @param {Array<string|{url: string, text: string}>} links - Absolute link URLs from
+   *   the page, with their link text when known
+   * @param {number} depth - Link hops from the starting page to the linked pages
+   * @returns {Promise<void>}
+   */
+  async enqueueDiscoveredLinks(task, links, depth = 1) {
+    if (!task || !task.settings.crawlMode) {
       return;
     }
 
+    await this.queueLinks(task, links, depth);
+  }
+
+  /**
+   * Queues the links that pass the task's scope, URL patterns and robots.txt
+   * @param {TaskState} task - The task to queue pages for
+   * @param {Array<string|{url: string, text: string}>} links - Absolute link URLs,
+   *   with their link text when known
+   * @param {number} depth - Link hops from the starting page to the linked pages
+   * @returns {Promise<number>} - How many pages were queued
+   */
+  async queueLinks(task, links, depth) {
+    if (!Array.isArray(links) || !task.isWithinDepth(depth)) {
+      return 0;
+    }
+
     let added = 0;
+    let filtered = 0;
+    let disallowed = 0;
+    const followsRobots = task.respectsRobotsTxt();
 
-    for (const link of links) {
+    for (const entry of links) {
+      const link = typeof entry === 'string' ? entry : entry?.url;
       if (typeof link !== 'string' || !isValidUrl(link)) {
         continue;
       }
 
-      try {
-        const linkUrl = new URL(link);
-        if (linkUrl.hostname !== task.startingDomain) {
-          continue;
+      if (!task.scope.allows(link)) {
+        continue;
+      }
+
+      if (!task.passesUrlFilter(link)) {
+        filtered += 1;
+        continue;
+      }
+
+      // Queued pages were already checked, so only new links need robots.txt
+      const unseen = !task.visited.has(task.normalize(link));
+      if (followsRobots && unseen && !(await this.robots.isAllowed(link))) {
+        if (task.recordRobotsSkip(link)) {
+          disallowed += 1;
         }
-      } catch (_) {
         continue;
       }
 
-      if (task.addToQueue(link)) {
+      if (task.addToQueue(link, depth, entry?.text ?? '')) {
         added += 1;
       }
     }
@@ -118,22 +418,168 @@ export class PageScraper {
         debug: `Queued ${added} additional page(s)`,
       });
     }
+
+    if (filtered > 0) {
+      this.taskManager.sendStatus(task.taskId, {
+        filterRejections: Object.fromEntries(task.linkRejections),
+      });
+    }
+
+    if (disallowed > 0) {
+      this.taskManager.sendStatus(task.taskId, {
+        robotsSkipped: task.robotsSkipped.size,
+        debug: `Skipped ${disallowed} link(s) disallowed by robots.txt`,
+      });
+    }
+
+    return added;
+  }
+
+  /**
+   * Waits for a request token for the page's host
+   * @param {TaskState} task - The task the page belongs to
+   * @param {string} url - The page about to be requested
+   * @returns {Promise<void>}
+   */
+  async waitForRateLimit(task, url) {
+    const wait = this.rateLimiter.reserve(url, task.settings.requestsPerSecond);
+    if (wait > 0) {
+      await delay(wait);
+    }
+  }
+
+  /**
+   * Waits for the page's site to accept another request under its robots.txt Crawl-delay
+   * @param {TaskState} task - The task the page belongs to
+   * @param {string} url - The page URL
+   * @returns {Promise<void>}
+   */
+  async waitForCrawlDelay(task, url) {
+    if (!task.respectsRobotsTxt()) {
+      return;
+    }
+
+    const wait = await this.robots.reserveRequestSlot(url);
+    if (wait > 0) {
+      await delay(wait);
+    }
+  }
+
+  /**
+   * Starts a task's tab pool, so its pages reuse tabs instead of each opening one
+   * @param {TaskState} task - The task about to run
+   * @returns {TabPool}
+   */
+  openTabPool(task) {
+    let pool = this.tabPools.get(task);
+    if (!pool) {
+      pool = new TabPool(task.taskId, {
+        size: task.settings.concurrency,
+        placement: task.settings.tabPlacement,
+        label: task.startingDomain,
+      });
+      this.tabPools.set(task, pool);
+    }
+    return pool;
   }
 
-  waitForTabLoad(tabId) {
+  /**
+   * Closes every tab in a task's pool
+   * @param {TaskState} task - The finished or stopped task
+   * @returns {Promise<void>}
+   */
+  async closeTabPool(task) {
+    const pool = this.tabPools.get(task);
+    if (!pool) {
+      return;
+    }
+
+    this.tabPools.delete(task);
+    await pool.close();
+  }
+
+  /**
+   * Closes pool tabs left open by a worker that stopped mid-crawl
+   * @returns {Promise<number>} - How many tabs were closed
+   */
+  closeOrphanedTabs() {
+    const keepPoolIds = [...this.tabPools.values()].map((pool) => pool.poolId);
+    return TabPool.closeOrphans({ keepPoolIds });
+  }
+
+  /**
+   * Gets a tab for a page from the task's pool, or opens one just for it
+   * @param {TaskState} task - The task the page belongs to
+   * @param {string} url - The page URL
+   * @returns {Promise<{id: number, reused: boolean}|null>}
+   */
+  async acquireTab(task, url) {
+    const pool = this.tabPools.get(task);
+    if (pool) {
+      return pool.acquire(url);
+    }
+
+    const tab = await SafeChromeAPI.tabs('create', { url, active: false });
+    return tab && typeof tab.id === 'number' ? { id: tab.id, reused: false } : null;
+  }
+
+  async releaseTab(task, tabId, reusable) {
+    const pool = this.tabPools.get(task);
+    if (pool) {
+      await pool.release(tabId, { reusable });
+    } else {
+      await SafeChromeAPI.tabs('remove', tabId).catch(() => undefined);
+    }
+  }
+
+  /**
+   * Waits for a tab to load a page. New tabs were opened on the page already;
+   * reused tabs are sent to it.
+   * @param {{id: number, reused: boolean}} tab - The tab from acquireTab
+   * @param {string} url - The page URL
+   * @returns {Promise<void>}
+   */
+  async navigateTab(tab, url) {
+    if (!tab.reused) {
+      return this.waitForTabLoad(tab.id);
+    }
+
+    // Listen before navigating, so a fast load is not missed
+    const loaded = this.waitForTabLoad(tab.id, { afterNavigation: true });
+    loaded.catch(() => undefined);
+    const updated = await SafeChromeAPI.tabs('update', { tabId: tab.id, url });
+    if (!updated) {
+      throw new ScrapeError('Pooled tab was closed', 'tab-crashed');
+    }
+    return loaded;
+  }
+
+  /**
+   * Waits for a tab to finish loading
+   * @param {number} tabId - The tab
+   * @param {Object} options - Wait options
+   * @param {boolean} options.afterNavigation - Ignore the page the tab showed
+   *   before a navigation that is about to start
+   * @returns {Promise<void>}
+   */
+  waitForTabLoad(tabId, { afterNavigation = false } = {}) {
     return new Promise((resolve, reject) => {
       let completed = false;
+      let navigating = !afterNavigation;
 
       const timer = setTimeout(() => {
         if (!completed) {
           completed = true;
           cleanup();
-          reject(new Error('Tab load timeout'));
+          reject(new ScrapeError('Tab load timeout', 'timeout'));
         }
       }, CONFIG.TIMEOUTS.TAB_LOAD);
 
       const handleUpdate = (updatedId, info) => {
-        if (updatedId === tabId && info.status === 'complete' && !completed) {
+        if (updatedId === tabId && info.status === 'loading') {
+          navigating = true;
+        }
+        if (updatedId === tabId && info.status === 'complete' && navigating && !completed) {
           completed = true;
           cleanup();
           resolve();
@@ -146,6 +592,9 @@ export class PageScraper {
       };
 
       chrome.tabs.onUpdated.addListener(handleUpdate);
+      if (afterNavigation) {
+        return;
+      }
 
       chrome.tabs.get(tabId, (tab) => {
         if (!completed && chrome.runtime.lastError) {
@@ -160,14 +609,18 @@ export class PageScraper {
     });
   }
 
-  async injectReadability(tabId) {
+  async injectExtractionScripts(tabId) {
     try {
       await chrome.scripting.executeScript({
         target: { tabId },
-        files: ['src/lib/readability.js'],
+        files: [
+          'src/lib/readability.js',
+          'src/content/markdownConverter.js',
+          'src/content/pageExtractor.js',
+        ],
       });
     } catch (_) {
-      // Continue without readability
+      // Continue without readability; extraction falls back to plain text
     }
   }
 
@@ -175,44 +628,20 @@ export class PageScraper {
     const [result] = await chrome.scripting.executeScript({
       target: { tabId },
       func: () => {
-        const response = {
-          url: window.location.href,
+        // Without the extractor script, fall back to the page's plain text
+        const page = window.PageExtractor?.extract(document, window.location.href) ?? {
           title: document.title || window.location.href,
-          content: '',
+          content: document.body?.innerText?.trim() || '',
           links: [],
+          metadata: {},
         };
 
-        try {
-          if (window.Readability) {
-            const parsed = new window.Readability(document.cloneNode(true)).parse();
-            if (parsed?.textContent) {
-              response.content = parsed.textContent.trim();
-              response.title = parsed.title || response.title;
-            }
-          }
-        } catch (error) {
-          console.warn('Readability extraction failed:', error.message);
-        }
-
-        if (!response.content || response.content.length < 100) {
-          const candidates = ['article', 'main', '[role="main"]', '.content', '.post'];
-          for (const selector of candidates) {
-            const element = document.querySelector(selector);
-            if (element && element.innerText.trim().length > 200) {
-              response.content = element.innerText.trim();
-              break;
-            }
-          }
-        }
-
-        if (!response.content) {
-          response.content = document.body?.innerText?.trim() ?? '';
-        }
-
-        const links = Array.from(document.querySelectorAll('a[href]'));
-        response.links = links.map((anchor) => anchor.href).filter(Boolean);
-
-        return response;
+        return {
+          ...page,
+          url: window.location.href,
+          // responseStatus is missing before Chrome 109
+          status: performance.getEntriesByType('navigation')[0]?.responseStatus ?? null,
+        };
       },
     });
 
@@ -0,0 +1,157 @@
+import { CONFIG } from '../shared/config.js';
+import { isValidUrl } from '../shared/utils.js';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlText(text) {
+  return text
+    .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')
+    .replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (entity, name) => {
+      if (name[0] !== '#') {
+        return XML_ENTITIES[name.toLowerCase()];
+      }
+      const hex = name[1] === 'x' || name[1] === 'X';
+      return String.fromCodePoint(parseInt(name.slice(hex ? 2 : 1), hex ? 16 : 10));
+    })
+    .trim();
+}
+
+function readTag(block, tag) {
+  // Prefer the plain tag, so <image:loc> inside a <url> is not taken for its <loc>
+  const match =
+    block.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i')) ??
+    block.match(new RegExp(`<[\\w-]+:${tag}\\b[^>]*>([\\s\\S]*?)</[\\w-]+:${tag}>`, 'i'));
+  return match ? decodeXmlText(match[1]) : null;
+}
+
+/**
+ * Parses a sitemap or sitemap index. Service workers have no DOMParser,
+ * and the format is flat enough to read with patterns.
+ * @param {string} xml - The sitemap XML
+ * @returns {{isIndex: boolean, entries: Array<{loc: string, lastmod: string|null}>}}
+ */
+export function parseSitemap(xml) {
+  const text = String(xml ?? '');
+  const isIndex = /<(?:[\w-]+:)?sitemapindex\b/i.test(text);
+  const entryTag = isIndex ? 'sitemap' : 'url';
+  const entryPattern = new RegExp(
+    `<(?:[\\w-]+:)?${entryTag}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${entryTag}>`,
+    'gi'
+  );
+
+  const entries = [];
+  for (const [, block] of text.matchAll(entryPattern)) {
+    const loc = readTag(block, 'loc');
+    if (loc) {
+      entries.push({ loc, lastmod: readTag(block, 'lastmod') });
+    }
+  }
+
+  return { isIndex, entries };
+}
+
+/**
+ * Checks a lastmod value against a cut-off date. Entries without a usable
+ * lastmod are kept, since nothing says they are old.
+ * @param {string|null} lastmod - W3C datetime from the sitemap
+ * @param {number|null} since - Cut-off timestamp in milliseconds
+ * @returns {boolean}
+ */
+function isModifiedSince(lastmod, since) {
+  if (since === null || !lastmod) {
+    return true;
+  }
+
+  const modified = Date.parse(lastmod);
+  return Number.isNaN(modified) || modified >= since;
+}
+
+async function gunzipWithStreams(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Finds and reads a site's sitemaps, following sitemap index files
+ */
+export class SitemapLoader {
+  /**
+   * @param {Object} options - Loader dependencies, replaceable in tests
+   * @param {Function} options.fetcher - fetch-compatible function
+   * @param {Function} options.gunzip - Decompresses gzip bytes into bytes
+   */
+  constructor({ fetcher = (...args) => fetch(...args), gunzip = gunzipWithStreams } = {}) {
+    this.fetcher = fetcher;
+    this.gunzip = gunzip;
+  }
+
+  /**
+   * Collects page URLs from sitemaps
+   * @param {string[]} sitemapUrls - Sitemaps to start from, such as robots.txt Sitemap lines
+   * @param {Object} options - Collection options
+   * @param {number|null} options.since - Skip pages last modified before this timestamp
+   * @param {number} options.limit - Stop after this many page URLs
+   * @returns {Promise<{urls: string[], sitemapCount: number}>}
+   */
+  async collect(sitemapUrls, { since = null, limit = Infinity } = {}) {
+    const pending = [...sitemapUrls];
+    const seen = new Set();
+    const urls = [];
+
+    while (pending.length > 0 && urls.length < limit && seen.size < CONFIG.SITEMAP.MAX_FILES) {
+      const sitemapUrl = pending.shift();
+      if (seen.has(sitemapUrl) || !isValidUrl(sitemapUrl)) {
+        continue;
+      }
+      seen.add(sitemapUrl);
+
+      const xml = await this.fetchSitemap(sitemapUrl);
+      if (!xml) {
+        continue;
+      }
+
+      const { isIndex, entries } = parseSitemap(xml);
+      for (const entry of entries) {
+        if (!isModifiedSince(entry.lastmod, since)) {
+          continue;
+        }
+
+        if (isIndex) {
+          pending.push(entry.loc);
+        } else if (urls.length < limit) {
+          urls.push(entry.loc);
+        }
+      }
+    }
+
+    return { urls, sitemapCount: seen.size };
+  }
+
+  /**
+   * Downloads a sitemap, unpacking it when it is gzipped
+   * @param {string} url - The sitemap URL
+   * @returns {Promise<string|null>} - The XML, or null if it could not be read
+   */
+  async fetchSitemap(url) {
+    try {
+      const response = await this.fetcher(url, {
+        credentials: 'omit',
+        signal: AbortSignal.timeout(CONFIG.SITEMAP.FETCH_TIMEOUT),
+      });
+      if (!response.ok) {
+        return null;
+      }
+
+      let bytes = new Uint8Array(await response.arrayBuffer());
+      // Servers often send .xml.gz files without a gzip Content-Encoding
+      if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        bytes = await this.gunzip(bytes);
+      }
+
+      return new TextDecoder().decode(bytes);
+    } catch (error) {
+      console.warn(`Could not read sitemap ${url}:`, error.message);
+      return null;
+    }
+  }
+}
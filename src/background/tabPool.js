@@ -0,0 +1,262 @@
+import { CONFIG } from '../shared/config.js';
+import { SafeChromeAPI } from '../shared/safeChromeAPI.js';
+
+function sessionStorage() {
+  return globalThis.chrome?.storage?.session ?? null;
+}
+
+const MISSING_WINDOW = /No window with id/i;
+
+// Tells apart pools of the same tab, such as a new crawl's and a stopped one's
+let poolCount = 0;
+
+function closeWindow(windowId) {
+  return chrome.windows.remove(windowId).catch(() => undefined);
+}
+
+/**
+ * Background tabs a task reuses from page to page instead of opening one per
+ * page. A tab is closed and replaced after a set number of pages, or when a
+ * page fails in a way that leaves it unusable. Tabs open in a minimized window
+ * of the pool's own or a collapsed tab group, so they stay out of the user's
+ * way. The open tabs and window are written to session storage under the
+ * pool's own ID, so a restarted worker can close the ones it lost track of.
+ */
+export class TabPool {
+  /**
+   * @param {number} taskId - The task the tabs belong to
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Most tabs kept open, normally the task's concurrency
+   * @param {number} options.pagesPerTab - Pages a tab loads before it is replaced
+   * @param {string} options.placement - 'window', 'group' or 'current'
+   * @param {string} options.label - Title for the tab group
+   * @param {Object} options.storage - chrome.storage area for the tab list
+   */
+  constructor(
+    taskId,
+    {
+      size,
+      pagesPerTab = CONFIG.TAB_POOL.PAGES_PER_TAB,
+      placement = CONFIG.DEFAULTS.TAB_PLACEMENT,
+      label = '',
+      storage = sessionStorage(),
+    } = {}
+  ) {
+    this.taskId = taskId;
+    poolCount += 1;
+    this.poolId = `${taskId}-${Date.now()}-${poolCount}`;
+    this.size = size;
+    this.pagesPerTab = pagesPerTab;
+    this.placement = placement;
+    this.label = label;
+    this.storage = storage;
+    // Pages loaded by each open tab, and the open tabs not in use
+    this.uses = new Map();
+    this.idle = [];
+    this.closed = false;
+    this.windowId = null;
+    // Shared by tabs opened at the same time, so only one window or group is made
+    this.windowReady = null;
+    this.groupReady = null;
+  }
+
+  get storageKey() {
+    return `${CONFIG.TAB_POOL.STORAGE_PREFIX}${this.poolId}`;
+  }
+
+  /**
+   * Takes a tab for a page, reusing an idle one when there is one
+   * @param {string} url - The page to load; a new tab is opened on it
+   * @returns {Promise<{id: number, reused: boolean}|null>} - The tab, or null if
+   *   one could not be opened. A reused tab still needs navigating to the page.
+   */
+  async acquire(url) {
+    const idleId = this.idle.pop();
+    if (idleId !== undefined) {
+      this.uses.set(idleId, this.uses.get(idleId) + 1);
+      return { id: idleId, reused: true };
+    }
+
+    const tab = await this.openTab(url);
+    if (!tab || typeof tab.id !== 'number') {
+      return null;
+    }
+
+    this.uses.set(tab.id, 1);
+    await this.persist();
+    return { id: tab.id, reused: false };
+  }
+
+  async openTab(url) {
+    if (this.placement === 'window') {
+      try {
+        const windowId = await this.ensureWindow();
+        return await SafeChromeAPI.tabs('create', { url, active: false, windowId });
+      } catch (error) {
+        if (!MISSING_WINDOW.test(error.message)) {
+          throw error;
+        }
+        // The user closed the crawl window, so open another
+        this.windowReady = null;
+        const windowId = await this.ensureWindow();
+        return SafeChromeAPI.tabs('create', { url, active: false, windowId });
+      }
+    }
+
+    const tab = await SafeChromeAPI.tabs('create', { url, active: false });
+    if (tab && this.placement === 'group') {
+      await this.addToGroup(tab.id);
+    }
+    return tab;
+  }
+
+  /**
+   * Opens the pool's minimized window unless it is already open
+   * @returns {Promise<number>} - The window ID
+   */
+  ensureWindow() {
+    if (!this.windowReady) {
+      this.windowReady = chrome.windows
+        .create({ url: 'about:blank', focused: false, state: 'minimized' })
+        .then(async (crawlWindow) => {
+          // The window's blank first tab keeps it open while pool tabs are replaced
+          this.windowId = crawlWindow.id;
+          await this.persist();
+          return crawlWindow.id;
+        })
+        .catch((error) => {
+          this.windowReady = null;
+          throw error;
+        });
+    }
+    return this.windowReady;
+  }
+
+  /**
+   * Puts a tab in the pool's tab group, creating the group for the first tab.
+   * A tab left ungrouped still works, so grouping errors are only logged.
+   * @param {number} tabId - The new tab
+   * @returns {Promise<void>}
+   */
+  async addToGroup(tabId) {
+    try {
+      if (this.groupReady) {
+        const groupId = await this.groupReady;
+        try {
+          await chrome.tabs.group({ groupId, tabIds: [tabId] });
+          return;
+        } catch (_) {
+          // The group closed with its last tab, so start a new one
+        }
+      }
+
+      this.groupReady = this.createGroup(tabId);
+      await this.groupReady;
+    } catch (error) {
+      this.groupReady = null;
+      console.warn('Failed to group crawl tab:', error.message);
+    }
+  }
+
+  async createGroup(tabId) {
+    const groupId = await chrome.tabs.group({ tabIds: [tabId] });
+    await chrome.tabGroups.update(groupId, { title: this.label, collapsed: true });
+    return groupId;
+  }
+
+  /**
+   * Returns a tab after a page, closing it when it should not be reused
+   * @param {number} tabId - The tab from acquire
+   * @param {Object} options - How the page went
+   * @param {boolean} options.reusable - False when the tab crashed or never finished loading
+   * @returns {Promise<void>}
+   */
+  async release(tabId, { reusable = true } = {}) {
+    if (!this.uses.has(tabId)) {
+      return;
+    }
+
+    const wornOut = this.uses.get(tabId) >= this.pagesPerTab;
+    if (reusable && !wornOut && !this.closed && this.uses.size <= this.size) {
+      this.idle.push(tabId);
+      return;
+    }
+
+    this.uses.delete(tabId);
+    await SafeChromeAPI.tabs('remove', tabId).catch(() => undefined);
+    await this.persist();
+  }
+
+  /**
+   * Changes how many tabs are kept; extra tabs close as they are released
+   * @param {number} size - The new pool size
+   */
+  resize(size) {
+    this.size = size;
+  }
+
+  /**
+   * Closes every tab in the pool
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    const tabIds = [...this.uses.keys()];
+    this.uses.clear();
+    this.idle = [];
+
+    await Promise.all(
+      tabIds.map((tabId) => SafeChromeAPI.tabs('remove', tabId).catch(() => undefined))
+    );
+    if (this.windowId !== null) {
+      await closeWindow(this.windowId);
+      this.windowId = null;
+    }
+    await this.storage?.remove(this.storageKey).catch((error) => {
+      console.warn('Failed to clear the tab pool:', error.message);
+    });
+  }
+
+  async persist() {
+    if (this.closed) {
+      return;
+    }
+    const saved = { tabIds: [...this.uses.keys()], windowId: this.windowId };
+    await this.storage?.set({ [this.storageKey]: saved }).catch((error) => {
+      console.warn('Failed to save the tab pool:', error.message);
+    });
+  }
+
+  /**
+   * Closes tabs and windows saved by pools a stopped worker left open.
+   * Session storage is cleared when the browser restarts, so the saved IDs
+   * are never stale.
+   * @param {Object} options - Cleanup options
+   * @param {string[]} options.keepPoolIds - Pools still in use
+   * @param {Object} options.storage - chrome.storage area holding the tab lists
+   * @returns {Promise<number>} - How many tabs were closed
+   */
+  static async closeOrphans({ keepPoolIds = [], storage = sessionStorage() } = {}) {
+    if (!storage) {
+      return 0;
+    }
+
+    const saved = await storage.get(null);
+    const keep = new Set(keepPoolIds.map((poolId) => `${CONFIG.TAB_POOL.STORAGE_PREFIX}${poolId}`));
+    const keys = Object.keys(saved ?? {}).filter(
+      (key) => key.startsWith(CONFIG.TAB_POOL.STORAGE_PREFIX) && !keep.has(key)
+    );
+    const pools = keys.map((key) => saved[key] ?? {});
+    const tabIds = pools.flatMap((pool) => (Array.isArray(pool.tabIds) ? pool.tabIds : []));
+    const windowIds = pools.map((pool) => pool.windowId).filter(Number.isInteger);
+
+    await Promise.all(
+      tabIds.map((tabId) => SafeChromeAPI.tabs('remove', tabId).catch(() => undefined))
+    );
+    await Promise.all(windowIds.map(closeWindow));
+    if (keys.length > 0) {
+      await storage.remove(keys);
+    }
+    return tabIds.length;
+  }
+}
@@ -1,9 +1,11 @@
 import { TaskState } from './taskState.js';
 
 export class TaskManager {
-  constructor() {
+  constructor(storage = null, pageStore = null) {
     this.tasks = new Map();
     this.subscribers = new Map();
+    this.storage = storage;
+    this.pageStore = pageStore;
   }
 
   createTask(tabId, startingUrl, settings) {
@@ -12,10 +14,38 @@ export class TaskManager {
     }
 
     const task = new TaskState(tabId, startingUrl, settings);
+    task.setContentStore(this.pageStore);
     this.tasks.set(tabId, task);
+    this.attachStorage(task);
     return task;
   }
 
+  /**
+   * Registers a task rebuilt from storage, such as a crawl resumed after a
+   * service worker restart or a finished crawl rerun for its failed pages
+   * @param {TaskState} task - The restored task
+   * @returns {boolean} - False if a task already runs under the same ID
+   */
+  restoreTask(task) {
+    if (!task || this.tasks.has(task.taskId)) {
+      return false;
+    }
+
+    task.setContentStore(this.pageStore);
+    this.tasks.set(task.taskId, task);
+    this.attachStorage(task);
+    return true;
+  }
+
+  attachStorage(task) {
+    if (!this.storage) {
+      return;
+    }
+
+    task.setSaveCallback((changed) => this.storage.save(changed));
+    this.storage.save(task);
+  }
+
   getTask(taskId) {
     return this.tasks.get(taskId) ?? null;
   }
@@ -25,10 +55,29 @@ export class TaskManager {
     this.subscribers.delete(taskId);
   }
 
-  cleanupTask(taskId) {
+  /**
+   * Removes a finished or stopped task and its saved state
+   * @param {number} taskId - The task ID
+   * @param {Object} options - Cleanup options
+   * @param {boolean} options.keepContent - Keep stored pages for a later failure retry.
+   *   By default only a failure retry run keeps them: they are the pages of the
+   *   tab's last crawl too, which the next retry exports.
+   */
+  cleanupTask(taskId, { keepContent } = {}) {
     const task = this.tasks.get(taskId);
-    task?.forceSave();
+    // A finished or stopped task must not be resumed, so drop its saved state
+    task?.setSaveCallback(null);
+    // Pages still being scraped must not be written once the run is deleted
+    task?.closeContent();
     this.removeTask(taskId);
+    this.storage?.remove(taskId);
+
+    if (task && this.pageStore && !(keepContent ?? task.isFailureRetry)) {
+      task
+        .flushContent()
+        .then(() => this.pageStore.deleteRun(task.runId))
+        .catch((error) => console.warn('Failed to delete stored pages:', error.message));
+    }
   }
 
   subscribe(taskId, port) {
@@ -1,19 +1,86 @@
-import { normalizeUrl, extractDomain } from '../shared/utils.js';
+import { normalizeUrl, extractDomain, isValidUrl } from '../shared/utils.js';
 import { CONFIG } from '../shared/config.js';
+import { UrlFilter } from './urlFilter.js';
+import { CrawlScope } from './crawlScope.js';
+import { CrawlFrontier } from './crawlFrontier.js';
+import { computeSimHash, getSimilarity } from './contentFingerprint.js';
 
 function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
+function toDepthLimit(value) {
+  if (value === null || value === undefined || value === '') {
+    return CONFIG.DEFAULTS.MAX_DEPTH;
+  }
+
+  const depth = Number(value);
+  return Number.isInteger(depth) && depth >= 0 ? depth : CONFIG.DEFAULTS.MAX_DEPTH;
+}
+
+function toPatternList(patterns) {
+  if (!Array.isArray(patterns)) {
+    return [];
+  }
+
+  return patterns
+    .filter((pattern) => typeof pattern === 'string')
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+}
+
+function toQueryMode(mode) {
+  return CONFIG.QUERY_MODES.includes(mode) ? mode : CONFIG.DEFAULTS.QUERY_MODE;
+}
+
+function toQueryParams(params, mode) {
+  // The denylist mode drops common tracking parameters unless told otherwise
+  if (params === undefined && mode === 'denylist') {
+    return [...CONFIG.DEFAULT_QUERY_DENYLIST];
+  }
+  return toPatternList(params);
+}
+
+function toSiteQueryRules(rules) {
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+
+  return rules
+    .filter((rule) => rule && typeof rule.host === 'string' && rule.host.trim())
+    .map((rule) => {
+      const mode = toQueryMode(rule.mode);
+      return {
+        host: rule.host.trim().toLowerCase(),
+        mode,
+        params: toQueryParams(rule.params, mode),
+      };
+    });
+}
+
+function toSimilarityThreshold(value) {
+  if (value === undefined) {
+    return CONFIG.DEFAULTS.NEAR_DUPLICATE_THRESHOLD;
+  }
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const threshold = Number(value);
+  return Number.isFinite(threshold)
+    ? clamp(threshold, CONFIG.NEAR_DUPLICATES.MIN_THRESHOLD, 1)
+    : CONFIG.DEFAULTS.NEAR_DUPLICATE_THRESHOLD;
+}
+
 export class TaskState {
   constructor(taskId, startingUrl, settings = {}) {
     this.taskId = taskId;
-    this.startingUrl = normalizeUrl(startingUrl);
-    this.startingDomain = extractDomain(this.startingUrl);
-
+    // Identifies this crawl's pages in the content store; tab IDs get reused
+    this.runId = `${taskId}-${Date.now()}`;
     const requestedPages = Number(settings.maxPages ?? CONFIG.DEFAULTS.MAX_PAGES);
     const requestedConcurrency = Number(settings.concurrency ?? CONFIG.DEFAULTS.CONCURRENCY);
     const requestedDelay = Number(settings.delay ?? CONFIG.DEFAULTS.DELAY_MS);
+    const requestedRate = Number(settings.requestsPerSecond ?? CONFIG.DEFAULTS.REQUESTS_PER_SECOND);
 
     this.settings = {
       crawlMode: settings.crawlMode ?? CONFIG.DEFAULTS.CRAWL_MODE,
@@ -27,26 +94,136 @@ export class TaskState {
         CONFIG.LIMITS.MIN_CONCURRENCY,
         CONFIG.LIMITS.MAX_CONCURRENCY
       ),
+      adaptiveConcurrency: settings.adaptiveConcurrency ?? CONFIG.DEFAULTS.ADAPTIVE_CONCURRENCY,
       delay: Number.isFinite(requestedDelay) && requestedDelay > 0 ? requestedDelay : 0,
+      requestsPerSecond: clamp(
+        Number.isFinite(requestedRate) ? requestedRate : CONFIG.DEFAULTS.REQUESTS_PER_SECOND,
+        CONFIG.LIMITS.MIN_REQUESTS_PER_SECOND,
+        CONFIG.LIMITS.MAX_REQUESTS_PER_SECOND
+      ),
+      metadataFormat: CONFIG.METADATA_FORMATS.includes(settings.metadataFormat)
+        ? settings.metadataFormat
+        : CONFIG.DEFAULTS.METADATA_FORMAT,
+      maxDepth: toDepthLimit(settings.maxDepth),
+      pathScope: CONFIG.PATH_SCOPES.includes(settings.pathScope)
+        ? settings.pathScope
+        : CONFIG.DEFAULTS.PATH_SCOPE,
+      scopePrefix: typeof settings.scopePrefix === 'string' ? settings.scopePrefix.trim() : '',
+      hostScope: CONFIG.HOST_SCOPES.includes(settings.hostScope)
+        ? settings.hostScope
+        : CONFIG.DEFAULTS.HOST_SCOPE,
+      allowedHosts: toPatternList(settings.allowedHosts),
+      useSitemap: settings.useSitemap ?? CONFIG.DEFAULTS.USE_SITEMAP,
+      // Only pages with a sitemap lastmod on or after this date (YYYY-MM-DD) are seeded
+      sitemapSince: /^\d{4}-\d{2}-\d{2}$/.test(settings.sitemapSince ?? '')
+        ? settings.sitemapSince
+        : '',
+      robotsMode: CONFIG.ROBOTS_MODES.includes(settings.robotsMode)
+        ? settings.robotsMode
+        : CONFIG.DEFAULTS.ROBOTS_MODE,
+      queryMode: toQueryMode(settings.queryMode),
+      queryParams: toQueryParams(settings.queryParams, toQueryMode(settings.queryMode)),
+      sortQueryParams: settings.sortQueryParams ?? CONFIG.DEFAULTS.SORT_QUERY_PARAMS,
+      // Per-site overrides of the query mode: [{ host, mode, params }]
+      siteQueryRules: toSiteQueryRules(settings.siteQueryRules),
+      includePatterns: toPatternList(settings.includePatterns),
+      excludePatterns: toPatternList(settings.excludePatterns),
+      nearDuplicateThreshold: toSimilarityThreshold(settings.nearDuplicateThreshold),
+      stripBoilerplate: settings.stripBoilerplate ?? CONFIG.DEFAULTS.STRIP_BOILERPLATE,
+      crawlOrder: CONFIG.CRAWL_ORDERS.includes(settings.crawlOrder)
+        ? settings.crawlOrder
+        : CONFIG.DEFAULTS.CRAWL_ORDER,
+      // Words in link text or URLs that move a page up the best-first order
+      priorityKeywords: toPatternList(settings.priorityKeywords),
+      fetchMode: CONFIG.FETCH_MODES.includes(settings.fetchMode)
+        ? settings.fetchMode
+        : CONFIG.DEFAULTS.FETCH_MODE,
+      tabPlacement: CONFIG.TAB_PLACEMENTS.includes(settings.tabPlacement)
+        ? settings.tabPlacement
+        : CONFIG.DEFAULTS.TAB_PLACEMENT,
     };
+    // The query policy comes from the settings, so the URL is normalised after them
+    this.startingUrl = this.normalize(startingUrl);
+    this.startingDomain = extractDomain(this.startingUrl);
+    this.scope = new CrawlScope(this.startingUrl, this.settings);
+    this.urlFilter = new UrlFilter({
+      include: this.settings.includePatterns,
+      exclude: this.settings.excludePatterns,
+    });
 
-    this.queue = [this.startingUrl];
+    this.queue = new CrawlFrontier({
+      order: this.settings.crawlOrder,
+      seedUrl: this.startingUrl,
+      keywords: this.settings.priorityKeywords,
+      // The page limit is applied when scheduling, so the queue can hold
+      // better links found after it fills
+      capacity: this.settings.maxPages * CONFIG.FRONTIER.CAPACITY_PER_PAGE,
+    });
+    this.queue.push(this.startingUrl);
     this.visited = new Set([this.startingUrl]);
+    // Link hops from the starting page to each queued URL
+    this.depths = new Map([[this.startingUrl, 0]]);
     this.processed = 0;
     this.inProgress = 0;
+    this.inFlight = new Set();
+    this.attempts = new Map();
+    this.failures = new Map();
+    this.rejectedLinks = new Set();
+    this.linkRejections = new Map();
+    this.robotsSkipped = new Set();
+    this.sitemapSeeded = false;
+    // Set on a run that retries the failed pages of the tab's last crawl
+    this.isFailureRetry = false;
+    this.resumed = false;
     this.abort = false;
+    this.exportOnStop = false;
     this.isFinishing = false;
     this.isFinished = false;
 
     this.contentMap = new Map();
+    // Other URLs that turned out to be a captured page, mapped to its contentMap key
+    this.aliases = new Map();
+    // SimHash of each captured page, and pages collapsed into a similar one
+    this.fingerprints = new Map();
+    this.nearDuplicates = new Map();
+    this.contentStore = null;
+    this.pendingContentWrites = new Set();
+    // Set once the task is cleaned up, so late pages are not written to a deleted run
+    this.contentClosed = false;
 
     this.saveCallback = null;
     this.saveTimer = null;
     this.hasUnsavedChanges = false;
+    // When the oldest unsaved change was made
+    this.unsavedSince = null;
+  }
+
+  /**
+   * Moves page text out of memory into a content store. Without a store,
+   * the text stays in contentMap.
+   * @param {PageStore|null} store - Store with put(runId, url, entry) and get(runId, url)
+   */
+  setContentStore(store) {
+    this.contentStore = store ?? null;
+  }
+
+  /**
+   * Stops capturing pages. Scrapes still in flight when a task is cleaned up
+   * then store nothing.
+   */
+  closeContent() {
+    this.contentClosed = true;
   }
 
   setSaveCallback(callback) {
     this.saveCallback = typeof callback === 'function' ? callback : null;
+
+    if (!this.saveCallback && this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.hasUnsavedChanges = false;
+      this.unsavedSince = null;
+    }
   }
 
   markChanged() {
@@ -54,16 +231,27 @@ export class TaskState {
       return;
     }
 
+    const now = Date.now();
+    if (!this.hasUnsavedChanges) {
+      this.unsavedSince = now;
+    }
     this.hasUnsavedChanges = true;
     if (this.saveTimer) {
       clearTimeout(this.saveTimer);
     }
 
-    this.saveTimer = setTimeout(() => {
-      this.saveTimer = null;
-      this.hasUnsavedChanges = false;
-      this.saveCallback?.(this);
-    }, 2000);
+    // Each change pushes the save back, but never past the maximum wait
+    const { SAVE_DELAY_MS, SAVE_MAX_WAIT_MS } = CONFIG.PERSISTENCE;
+    const wait = Math.min(SAVE_DELAY_MS, this.unsavedSince + SAVE_MAX_WAIT_MS - now);
+    this.saveTimer = setTimeout(
+      () => {
+        this.saveTimer = null;
+        this.hasUnsavedChanges = false;
+        this.unsavedSince = null;
+        this.saveCallback?.(this);
+      },
+      Math.max(0, wait)
+    );
   }
 
   forceSave() {
@@ -77,6 +265,7 @@ export class TaskState {
     }
 
     this.hasUnsavedChanges = false;
+    this.unsavedSince = null;
     this.saveCallback(this);
     return true;
   }
@@ -87,72 +276,504 @@ export class TaskState {
     }
 
     if (this.processed + this.inProgress >= this.settings.maxPages) {
-      if (Array.isArray(this.queue) && this.queue.length > 0) {
-        this.queue = [];
+      if (this.queue.length > 0) {
+        this.queue.clear();
         this.markChanged();
       }
       return false;
     }
 
-    if (!Array.isArray(this.queue) || this.queue.length === 0) {
+    return this.queue.length > 0;
+  }
+
+  getNextUrl() {
+    return this.queue.pop();
+  }
+
+  /**
+   * Queues a page unless it was seen before or is beyond the depth limit
+   * @param {string} url - The page URL
+   * @param {number} depth - Link hops from the starting page
+   * @param {string} anchorText - Text of the link that led to the page
+   * @returns {boolean} - Whether the page was queued
+   */
+  addToQueue(url, depth = 0, anchorText = '') {
+    if (!url || this.abort || !this.isWithinDepth(depth)) {
+      return false;
+    }
+
+    const normalized = this.normalize(url);
+    if (!normalized) {
       return false;
     }
 
+    if (this.visited.has(normalized)) {
+      // Concurrent pages can find a URL through a longer path first
+      if (depth < this.getDepth(normalized)) {
+        this.depths.set(normalized, depth);
+        this.markChanged();
+      }
+      return false;
+    }
+
+    const dropped = this.queue.push(normalized, { depth, anchorText });
+    if (dropped === normalized) {
+      return false;
+    }
+    if (dropped) {
+      // A page pushed out of the queue may be queued again through another link
+      this.visited.delete(dropped);
+    }
+
+    this.visited.add(normalized);
+    this.depths.set(normalized, depth);
     return true;
   }
 
-  getNextUrl() {
-    if (!Array.isArray(this.queue) || this.queue.length === 0) {
-      return null;
+  /**
+   * Normalises a URL with the query parameter policy of its site
+   * @param {string} url - The URL to normalise
+   * @returns {string}
+   */
+  normalize(url) {
+    return normalizeUrl(url, { queryPolicy: this.getQueryPolicy(url) });
+  }
+
+  /**
+   * Picks the query parameter policy for a URL: the most specific site rule
+   * covering its host, or the task-wide setting
+   * @param {string} url - The URL being normalised
+   * @returns {{mode: string, params: string[], sort: boolean}}
+   */
+  getQueryPolicy(url) {
+    const host = extractDomain(url).toLowerCase();
+    const { queryMode, queryParams, sortQueryParams, siteQueryRules } = this.settings;
+
+    let siteRule = null;
+    for (const rule of siteQueryRules) {
+      const covers = host === rule.host || host.endsWith(`.${rule.host}`);
+      if (covers && (!siteRule || rule.host.length > siteRule.host.length)) {
+        siteRule = rule;
+      }
     }
 
-    return this.queue.shift() ?? null;
+    return siteRule
+      ? { mode: siteRule.mode, params: siteRule.params, sort: sortQueryParams }
+      : { mode: queryMode, params: queryParams, sort: sortQueryParams };
   }
 
-  addToQueue(url) {
-    if (!url) {
-      return false;
+  /**
+   * Gets the sitemap lastmod cut-off
+   * @returns {number|null} - Timestamp in milliseconds, or null for no cut-off
+   */
+  getSitemapCutoff() {
+    return this.settings.sitemapSince ? Date.parse(this.settings.sitemapSince) : null;
+  }
+
+  /**
+   * Records that the sitemaps were read, so a resumed task does not read them again
+   */
+  markSitemapSeeded() {
+    this.sitemapSeeded = true;
+    this.markChanged();
+  }
+
+  /**
+   * Gets how many link hops a page is from the starting page
+   * @param {string} url - The page URL
+   * @returns {number}
+   */
+  getDepth(url) {
+    return this.depths.get(this.normalize(url)) ?? 0;
+  }
+
+  /**
+   * Checks a link depth against the max-depth setting
+   * @param {number} depth - Link hops from the starting page
+   * @returns {boolean}
+   */
+  isWithinDepth(depth) {
+    return this.settings.maxDepth === null || depth <= this.settings.maxDepth;
+  }
+
+  /**
+   * Checks a discovered link against the include and exclude patterns,
+   * counting each rejected link once against the rule that rejected it
+   * @param {string} url - The link URL
+   * @returns {boolean} - Whether the link may be queued
+   */
+  passesUrlFilter(url) {
+    const normalized = this.normalize(url);
+    // Already-queued pages, such as the starting page, are never filtered
+    if (this.visited.has(normalized)) {
+      return true;
     }
 
-    const normalized = normalizeUrl(url);
-    if (!normalized || this.visited.has(normalized)) {
+    const rule = this.urlFilter.getRejectingRule(normalized);
+    if (!rule) {
+      return true;
+    }
+
+    if (!this.rejectedLinks.has(normalized)) {
+      this.rejectedLinks.add(normalized);
+      this.linkRejections.set(rule, (this.linkRejections.get(rule) ?? 0) + 1);
+      this.markChanged();
+    }
+
+    return false;
+  }
+
+  /**
+   * Checks whether this crawl follows robots.txt
+   * @returns {boolean}
+   */
+  respectsRobotsTxt() {
+    const { robotsMode, crawlMode, useSitemap, maxPages } = this.settings;
+    if (robotsMode === 'auto') {
+      return (crawlMode || useSitemap) && maxPages >= CONFIG.ROBOTS.AUTO_ENABLE_PAGES;
+    }
+    return robotsMode === 'on';
+  }
+
+  /**
+   * Records a discovered link that robots.txt disallows
+   * @param {string} url - The link URL
+   * @returns {boolean} - False if the link was already recorded
+   */
+  recordRobotsSkip(url) {
+    const normalized = this.normalize(url);
+    if (this.robotsSkipped.has(normalized)) {
       return false;
     }
 
-    if (this.processed + this.queue.length >= this.settings.maxPages) {
+    this.robotsSkipped.add(normalized);
+    this.markChanged();
+    return true;
+  }
+
+  /**
+   * Records that a page is being scraped, so a restart can requeue it
+   * @param {string} url - The page URL
+   */
+  markPageStarted(url) {
+    const normalized = this.normalize(url);
+    this.inProgress += 1;
+    this.inFlight.add(normalized);
+    this.attempts.set(normalized, this.getAttemptCount(normalized) + 1);
+    this.markChanged();
+  }
+
+  /**
+   * Puts a page that failed with a transient error back in the queue
+   * @param {string} url - The page URL
+   * @returns {boolean} - False if the task was stopped meanwhile
+   */
+  requeuePage(url) {
+    const normalized = this.normalize(url);
+    this.inProgress = Math.max(0, this.inProgress - 1);
+    this.inFlight.delete(normalized);
+
+    if (this.abort) {
+      this.processed += 1;
+      this.markChanged();
       return false;
     }
 
-    this.queue.push(normalized);
-    this.visited.add(normalized);
+    this.queue.push(normalized, { depth: this.getDepth(normalized) });
+    this.markChanged();
     return true;
   }
 
+  /**
+   * Records a page that failed for good, after any retries
+   * @param {string} url - The page URL
+   * @param {string} category - Failure category, such as 'timeout'
+   * @param {string} message - The last error message
+   */
+  recordFailure(url, category, message) {
+    const normalized = this.normalize(url);
+    this.failures.set(normalized, {
+      category,
+      message: message ?? '',
+      attempts: this.getAttemptCount(normalized),
+    });
+    this.markChanged();
+  }
+
+  /**
+   * Turns a finished task into a run that retries only its failed pages.
+   * Captured content is kept, so the export merges old and retried pages.
+   * @returns {number} - How many pages were queued
+   */
+  prepareFailureRetry() {
+    const urls = [...this.failures.keys()];
+
+    this.queue.clear();
+    urls.forEach((url) => this.queue.push(url, { depth: this.getDepth(url) }));
+    this.failures = new Map();
+    this.attempts = new Map();
+    this.processed = 0;
+    this.settings.crawlMode = false;
+    // A crawl stopped with an export is saved stopped, and must run again
+    this.abort = false;
+    this.exportOnStop = false;
+    this.isFinishing = false;
+    this.isFinished = false;
+    this.isFailureRetry = true;
+    this.markChanged();
+
+    return urls.length;
+  }
+
+  /**
+   * Counts how many times a page has been tried
+   * @param {string} url - The page URL
+   * @returns {number}
+   */
+  getAttemptCount(url) {
+    return this.attempts.get(this.normalize(url)) ?? 0;
+  }
+
+  /**
+   * Records that a page finished scraping, whether it succeeded or not
+   * @param {string} url - The page URL
+   */
+  markPageFinished(url) {
+    this.inProgress = Math.max(0, this.inProgress - 1);
+    this.inFlight.delete(this.normalize(url));
+    this.processed += 1;
+    this.markChanged();
+  }
+
+  /**
+   * Works out which URL identifies a captured page: its canonical link, then
+   * the URL it redirected to, then the requested URL. Canonical and redirect
+   * targets on hosts outside the crawl scope are ignored.
+   * @param {string} url - The requested URL
+   * @param {Object} urls - What the page reported
+   * @param {string} urls.finalUrl - location.href after redirects
+   * @param {string} urls.canonicalUrl - The page's rel="canonical" link
+   * @returns {string} - The normalised page URL
+   */
+  resolvePageUrl(url, { finalUrl = null, canonicalUrl = null } = {}) {
+    for (const candidate of [canonicalUrl, finalUrl]) {
+      if (
+        typeof candidate === 'string' &&
+        isValidUrl(candidate) &&
+        this.scope.allowsHost(new URL(candidate).hostname)
+      ) {
+        return this.normalize(candidate);
+      }
+    }
+
+    return this.normalize(url);
+  }
+
+  /**
+   * Records that a URL leads to an already identified page, so it is never
+   * queued again and is listed with that page in the output
+   * @param {string} alias - The normalised alias URL
+   * @param {string} pageUrl - The normalised page URL
+   */
+  recordAlias(alias, pageUrl) {
+    this.visited.add(pageUrl);
+    if (alias === pageUrl || this.aliases.get(alias) === pageUrl) {
+      return;
+    }
+
+    this.aliases.set(alias, pageUrl);
+    this.visited.add(alias);
+    if (this.depths.has(alias) && this.getDepth(alias) < (this.depths.get(pageUrl) ?? Infinity)) {
+      this.depths.set(pageUrl, this.getDepth(alias));
+    }
+  }
+
+  /**
+   * Groups alias URLs by the page they resolved to
+   * @returns {Map<string, string[]>}
+   */
+  getAliasesByPage() {
+    const grouped = new Map();
+    for (const [alias, pageUrl] of this.aliases) {
+      if (!grouped.has(pageUrl)) {
+        grouped.set(pageUrl, []);
+      }
+      grouped.get(pageUrl).push(alias);
+    }
+    return grouped;
+  }
+
+  /**
+   * Finds the captured page most similar to a fingerprint, if it reaches the
+   * near-duplicate threshold
+   * @param {string} fingerprint - SimHash of the new page
+   * @returns {{keptUrl: string, similarity: number}|null}
+   */
+  findNearDuplicate(fingerprint) {
+    let best = null;
+    for (const [keptUrl, keptFingerprint] of this.fingerprints) {
+      const similarity = getSimilarity(fingerprint, keptFingerprint);
+      if (
+        similarity >= this.settings.nearDuplicateThreshold &&
+        similarity > (best?.similarity ?? 0)
+      ) {
+        best = { keptUrl, similarity };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Groups near-duplicate page URLs by the page they were collapsed into
+   * @returns {Map<string, string[]>}
+   */
+  getNearDuplicatesByPage() {
+    const grouped = new Map();
+    for (const [url, { keptUrl }] of this.nearDuplicates) {
+      if (!grouped.has(keptUrl)) {
+        grouped.set(keptUrl, []);
+      }
+      grouped.get(keptUrl).push(url);
+    }
+    return grouped;
+  }
+
+  /**
+   * Stores a captured page under the URL resolvePageUrl picks. The requested
+   * and redirected URLs become aliases of that page, and a page nearly
+   * identical to one already captured is collapsed into it.
+   * @param {string} url - The requested URL
+   * @param {Object} content - title, textContent, metadata and finalUrl
+   * @returns {boolean} - False if the page was already captured under another
+   *   URL, was collapsed as a near-duplicate or arrived after closeContent
+   */
   addContent(url, content) {
-    const normalized = normalizeUrl(url);
-    if (!normalized || this.contentMap.has(normalized)) {
+    const requested = this.normalize(url);
+    if (!requested || this.contentClosed) {
+      return false;
+    }
+
+    const normalized = this.resolvePageUrl(url, {
+      finalUrl: content?.finalUrl,
+      canonicalUrl: content?.metadata?.canonicalUrl,
+    });
+    this.recordAlias(requested, normalized);
+    if (typeof content?.finalUrl === 'string' && isValidUrl(content.finalUrl)) {
+      this.recordAlias(this.normalize(content.finalUrl), normalized);
+    }
+
+    if (this.contentMap.has(normalized)) {
+      this.markChanged();
       return false;
     }
 
-    this.contentMap.set(normalized, {
+    const fingerprint =
+      this.settings.nearDuplicateThreshold === null ? null : computeSimHash(content?.textContent);
+    if (fingerprint) {
+      const match = this.findNearDuplicate(fingerprint);
+      if (match) {
+        this.nearDuplicates.set(normalized, match);
+        this.markChanged();
+        return false;
+      }
+      this.fingerprints.set(normalized, fingerprint);
+    }
+
+    const entry = {
       title: content?.title ?? url,
       textContent: content?.textContent ?? '',
-    });
+    };
+
+    if (content?.metadata && typeof content.metadata === 'object') {
+      entry.metadata = { ...content.metadata };
+    }
+
+    if (this.contentStore) {
+      // Keep only the title and metadata in memory; the text lives in the store
+      const summary = { title: entry.title };
+      if (entry.metadata) {
+        summary.metadata = entry.metadata;
+      }
+      this.contentMap.set(normalized, summary);
+      this.trackContentWrite(normalized, entry);
+    } else {
+      this.contentMap.set(normalized, entry);
+    }
 
     this.markChanged();
     return true;
   }
 
+  trackContentWrite(url, entry) {
+    const write = this.contentStore.put(this.runId, url, entry).catch((error) => {
+      console.warn(`Content store write failed for ${url}:`, error.message);
+      // Keep the page in memory rather than lose it
+      this.contentMap.set(url, entry);
+    });
+
+    this.pendingContentWrites.add(write);
+    write.finally(() => this.pendingContentWrites.delete(write));
+  }
+
+  /**
+   * Waits for pages still being written to the content store
+   * @returns {Promise<void>}
+   */
+  async flushContent() {
+    await Promise.allSettled([...this.pendingContentWrites]);
+  }
+
+  /**
+   * Reads the text of a captured page from memory or the content store
+   * @param {string} url - The normalised page URL
+   * @returns {Promise<string>}
+   */
+  async loadContent(url) {
+    const entry = this.contentMap.get(url);
+    if (typeof entry?.textContent === 'string') {
+      return entry.textContent;
+    }
+
+    if (!this.contentStore) {
+      return '';
+    }
+
+    try {
+      const stored = await this.contentStore.get(this.runId, url);
+      return stored?.textContent ?? '';
+    } catch (error) {
+      console.warn(`Content store read failed for ${url}:`, error.message);
+      return '';
+    }
+  }
+
+  /**
+   * Stops scheduling new pages. When exportPartial is set, the task still
+   * finishes with whatever was captured once in-flight pages settle.
+   * @param {Object} options - Stop options
+   * @param {boolean} options.exportPartial - Whether to export captured pages
+   */
+  stop({ exportPartial = false } = {}) {
+    this.abort = true;
+    this.exportOnStop = exportPartial;
+    this.queue.clear();
+    this.markChanged();
+  }
+
   isComplete() {
     return !this.abort && this.queue.length === 0 && this.inProgress === 0;
   }
 
+  isStoppedForExport() {
+    return this.abort && this.exportOnStop && this.inProgress === 0;
+  }
+
   markAsFinishing() {
     if (this.isFinished || this.isFinishing) {
       return false;
     }
 
-    if (!this.isComplete()) {
+    if (!this.isComplete() && !this.isStoppedForExport()) {
       return false;
     }
 
@@ -172,13 +793,28 @@ export class TaskState {
   toJSON() {
     return {
       taskId: this.taskId,
+      runId: this.runId,
       startingUrl: this.startingUrl,
       startingDomain: this.startingDomain,
       settings: { ...this.settings },
-      queue: [...this.queue],
+      // Pages still loading when the state is saved go back to the front of the queue
+      queue: [...this.inFlight, ...this.queue.toArray()],
+      queueScores: this.queue.toJSON().map(({ url, score }) => [url, score]),
       visited: [...this.visited],
+      depths: Array.from(this.depths.entries()),
       processed: this.processed,
+      attempts: Array.from(this.attempts.entries()),
+      failures: Array.from(this.failures.entries()),
+      rejectedLinks: [...this.rejectedLinks],
+      linkRejections: Array.from(this.linkRejections.entries()),
+      robotsSkipped: [...this.robotsSkipped],
+      sitemapSeeded: this.sitemapSeeded,
+      isFailureRetry: this.isFailureRetry,
+      exportOnStop: this.abort && this.exportOnStop,
       contentMap: Array.from(this.contentMap.entries()),
+      aliases: Array.from(this.aliases.entries()),
+      fingerprints: Array.from(this.fingerprints.entries()),
+      nearDuplicates: Array.from(this.nearDuplicates.entries()),
     };
   }
 
@@ -189,24 +825,89 @@ export class TaskState {
 
     const task = new TaskState(data.taskId, data.startingUrl, data.settings);
 
-    if (Array.isArray(data.queue) && data.queue.length > 0) {
-      task.queue = data.queue.map(normalizeUrl);
+    if (typeof data.runId === 'string' && data.runId) {
+      task.runId = data.runId;
     }
 
     if (Array.isArray(data.visited) && data.visited.length > 0) {
-      task.visited = new Set(data.visited.map(normalizeUrl));
+      task.visited = new Set(data.visited.map((url) => task.normalize(url)));
+    }
+
+    if (Array.isArray(data.depths)) {
+      task.depths = new Map(data.depths.map(([url, depth]) => [task.normalize(url), depth]));
+    }
+
+    if (Array.isArray(data.queue)) {
+      // In-flight pages have no saved score and are scored again
+      const scores = new Map(Array.isArray(data.queueScores) ? data.queueScores : []);
+      task.queue.load(
+        data.queue.map((url) => {
+          const normalized = task.normalize(url);
+          return { url: normalized, depth: task.getDepth(normalized), score: scores.get(url) };
+        })
+      );
     }
 
     if (Array.isArray(data.contentMap)) {
       task.contentMap = new Map(
-        data.contentMap.map(([url, content]) => [normalizeUrl(url), content])
+        data.contentMap.map(([url, content]) => [task.normalize(url), content])
+      );
+    }
+
+    if (Array.isArray(data.aliases)) {
+      task.aliases = new Map(
+        data.aliases.map(([alias, pageUrl]) => [task.normalize(alias), task.normalize(pageUrl)])
+      );
+    }
+
+    if (Array.isArray(data.fingerprints)) {
+      task.fingerprints = new Map(
+        data.fingerprints.map(([url, fingerprint]) => [task.normalize(url), fingerprint])
+      );
+    }
+
+    if (Array.isArray(data.nearDuplicates)) {
+      task.nearDuplicates = new Map(
+        data.nearDuplicates.map(([url, match]) => [
+          task.normalize(url),
+          { ...match, keptUrl: task.normalize(match.keptUrl) },
+        ])
+      );
+    }
+
+    if (Array.isArray(data.attempts)) {
+      task.attempts = new Map(data.attempts.map(([url, count]) => [task.normalize(url), count]));
+    }
+
+    if (Array.isArray(data.failures)) {
+      task.failures = new Map(
+        data.failures.map(([url, failure]) => [task.normalize(url), { ...failure }])
       );
     }
 
+    if (Array.isArray(data.rejectedLinks)) {
+      task.rejectedLinks = new Set(data.rejectedLinks.map((url) => task.normalize(url)));
+    }
+
+    if (Array.isArray(data.linkRejections)) {
+      task.linkRejections = new Map(data.linkRejections);
+    }
+
+    if (Array.isArray(data.robotsSkipped)) {
+      task.robotsSkipped = new Set(data.robotsSkipped.map((url) => task.normalize(url)));
+    }
+
     if (typeof data.processed === 'number' && data.processed > 0) {
       task.processed = Math.max(0, data.processed);
     }
 
+    task.sitemapSeeded = data.sitemapSeeded === true;
+    task.isFailureRetry = data.isFailureRetry === true;
+
+    if (data.exportOnStop === true) {
+      task.stop({ exportPartial: true });
+    }
+
     return task;
   }
 }
@@ -0,0 +1,281 @@
+import { SafeChromeAPI } from '../shared/safeChromeAPI.js';
+import { CONFIG } from '../shared/config.js';
+import { TaskState } from './taskState.js';
+
+const { KEY_PREFIX, CHUNK_SIZE, SESSION_KEY } = CONFIG.PERSISTENCE;
+const INDEX_KEY = `${KEY_PREFIX}index`;
+const LAST_CRAWL_INDEX_KEY = `${KEY_PREFIX}last_index`;
+
+async function isTabOpen(tabId) {
+  try {
+    return Boolean(await chrome.tabs.get(tabId));
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Persists task state in chrome.storage.local so a crawl survives service
+ * worker shutdowns. Each save is split into chunks written under a new
+ * generation, and the manifest pointing at that generation is written last,
+ * so a save interrupted part-way leaves the previous one readable.
+ *
+ * Finished crawls that still have failed pages are kept separately as the
+ * tab's "last crawl", so their failures can be retried later.
+ */
+export class TaskStorage {
+  constructor() {
+    this.pending = new Map();
+    this.indexUpdates = Promise.resolve();
+  }
+
+  /**
+   * Saves a snapshot of a task
+   * @param {TaskState} task - The task to save
+   * @returns {Promise<void>}
+   */
+  save(task) {
+    const snapshot = JSON.stringify(task.toJSON());
+    return this.enqueue(task.taskId, () => this.write(task.taskId, snapshot, INDEX_KEY));
+  }
+
+  /**
+   * Deletes the saved state of a task
+   * @param {number} taskId - The task ID
+   * @returns {Promise<void>}
+   */
+  remove(taskId) {
+    return this.enqueue(taskId, () => this.erase(taskId, INDEX_KEY));
+  }
+
+  /**
+   * Keeps a finished task as the last crawl of its tab
+   * @param {TaskState} task - The finished task
+   * @returns {Promise<void>}
+   */
+  saveLastCrawl(task) {
+    const storageId = this.lastCrawlId(task.taskId);
+    const snapshot = JSON.stringify(task.toJSON());
+    return this.enqueue(storageId, () => this.write(storageId, snapshot, LAST_CRAWL_INDEX_KEY));
+  }
+
+  /**
+   * Loads the last finished crawl of a tab
+   * @param {number} taskId - The task ID
+   * @returns {Promise<TaskState|null>}
+   */
+  loadLastCrawl(taskId) {
+    return this.load(this.lastCrawlId(taskId));
+  }
+
+  /**
+   * Loads the last finished crawl of every tab
+   * @returns {Promise<TaskState[]>}
+   */
+  loadLastCrawls() {
+    return this.loadIndexed(LAST_CRAWL_INDEX_KEY);
+  }
+
+  /**
+   * Forgets the last finished crawl of a tab
+   * @param {number} taskId - The task ID
+   * @returns {Promise<void>}
+   */
+  removeLastCrawl(taskId) {
+    const storageId = this.lastCrawlId(taskId);
+    return this.enqueue(storageId, () => this.erase(storageId, LAST_CRAWL_INDEX_KEY));
+  }
+
+  /**
+   * Loads a saved task
+   * @param {number|string} taskId - The task ID, or the storage ID of a last crawl
+   * @returns {Promise<TaskState|null>} - The task, or null if nothing usable is saved
+   */
+  async load(taskId) {
+    await this.pending.get(taskId);
+
+    const manifest = await this.readManifest(taskId);
+    if (!manifest) {
+      return null;
+    }
+
+    const keys = this.chunkKeys(taskId, manifest.generation, manifest.chunkCount);
+    const stored = (await SafeChromeAPI.storage('get', keys)) ?? {};
+    if (keys.some((key) => typeof stored[key] !== 'string')) {
+      return null;
+    }
+
+    try {
+      return TaskState.fromJSON(JSON.parse(keys.map((key) => stored[key]).join('')));
+    } catch (error) {
+      console.warn(`Saved task ${taskId} is unreadable:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Loads every saved task, deleting any that can no longer be read
+   * @returns {Promise<TaskState[]>}
+   */
+  loadAll() {
+    return this.loadIndexed(INDEX_KEY);
+  }
+
+  /**
+   * Loads the saved tasks whose tab is still open, deleting the rest. Tab IDs
+   * are renumbered when the browser restarts, so a task saved before then
+   * would belong to no tab, or to an unrelated one.
+   * @returns {Promise<TaskState[]>}
+   */
+  async loadResumable() {
+    const tasks = await this.loadAll();
+    const sameSession = await this.markBrowserSession();
+    const resumable = [];
+
+    for (const task of tasks) {
+      if (sameSession && (await isTabOpen(task.taskId))) {
+        resumable.push(task);
+      } else {
+        console.warn(`Dropping saved task ${task.taskId}: its tab is gone`);
+        await this.remove(task.taskId);
+      }
+    }
+
+    return resumable;
+  }
+
+  /**
+   * Records in session storage, which the browser clears when it restarts,
+   * that the extension has run in this browser session
+   * @returns {Promise<boolean>} - False on the first run after the browser
+   *   started, when saved tab IDs no longer hold
+   */
+  async markBrowserSession() {
+    const session = globalThis.chrome?.storage?.session;
+    if (!session) {
+      return true;
+    }
+
+    try {
+      const stored = await session.get(SESSION_KEY);
+      await session.set({ [SESSION_KEY]: true });
+      return stored?.[SESSION_KEY] === true;
+    } catch (error) {
+      console.warn('Failed to read the browser session:', error.message);
+      return true;
+    }
+  }
+
+  async loadIndexed(indexKey) {
+    const tasks = [];
+
+    for (const storageId of await this.readIndex(indexKey)) {
+      const task = await this.load(storageId);
+      if (task) {
+        tasks.push(task);
+      } else {
+        await this.enqueue(storageId, () => this.erase(storageId, indexKey));
+      }
+    }
+
+    return tasks;
+  }
+
+  enqueue(taskId, operation) {
+    const previous = this.pending.get(taskId) ?? Promise.resolve();
+    const next = previous.then(operation).catch((error) => {
+      console.warn(`Task storage operation failed for task ${taskId}:`, error.message);
+    });
+
+    this.pending.set(taskId, next);
+    next.then(() => {
+      if (this.pending.get(taskId) === next) {
+        this.pending.delete(taskId);
+      }
+    });
+
+    return next;
+  }
+
+  async write(taskId, snapshot, indexKey) {
+    const previous = await this.readManifest(taskId);
+    const generation = (previous?.generation ?? 0) + 1;
+
+    const chunks = [];
+    for (let offset = 0; offset < snapshot.length; offset += CHUNK_SIZE) {
+      chunks.push(snapshot.slice(offset, offset + CHUNK_SIZE));
+    }
+
+    const keys = this.chunkKeys(taskId, generation, chunks.length);
+    // Written without SafeChromeAPI, which keeps writes over quota in memory:
+    // a failed chunk write must stop the save before the manifest moves on
+    await chrome.storage.local.set(
+      Object.fromEntries(keys.map((key, index) => [key, chunks[index]]))
+    );
+    await chrome.storage.local.set({
+      [this.manifestKey(taskId)]: { generation, chunkCount: chunks.length, savedAt: Date.now() },
+    });
+    await this.updateIndex(indexKey, (ids) => (ids.includes(taskId) ? ids : [...ids, taskId]));
+
+    if (previous) {
+      await SafeChromeAPI.storage(
+        'remove',
+        this.chunkKeys(taskId, previous.generation, previous.chunkCount)
+      );
+    }
+  }
+
+  async erase(taskId, indexKey) {
+    const manifest = await this.readManifest(taskId);
+    const keys = [this.manifestKey(taskId)];
+    if (manifest) {
+      keys.push(...this.chunkKeys(taskId, manifest.generation, manifest.chunkCount));
+    }
+
+    await SafeChromeAPI.storage('remove', keys);
+    await this.updateIndex(indexKey, (ids) => ids.filter((id) => id !== taskId));
+  }
+
+  async readManifest(taskId) {
+    const key = this.manifestKey(taskId);
+    const stored = await SafeChromeAPI.storage('get', key);
+    const manifest = stored?.[key];
+
+    if (!manifest || !Number.isInteger(manifest.generation) || !(manifest.chunkCount > 0)) {
+      return null;
+    }
+
+    return manifest;
+  }
+
+  async readIndex(indexKey) {
+    const stored = await SafeChromeAPI.storage('get', indexKey);
+    return Array.isArray(stored?.[indexKey]) ? stored[indexKey] : [];
+  }
+
+  updateIndex(indexKey, update) {
+    // Indexes are shared by all tasks, so updates run one at a time
+    const next = this.indexUpdates.then(async () => {
+      const ids = await this.readIndex(indexKey);
+      await SafeChromeAPI.storage('set', { [indexKey]: update(ids) });
+    });
+
+    this.indexUpdates = next.catch(() => undefined);
+    return next;
+  }
+
+  lastCrawlId(taskId) {
+    return `last_${taskId}`;
+  }
+
+  manifestKey(taskId) {
+    return `${KEY_PREFIX}${taskId}_manifest`;
+  }
+
+  chunkKeys(taskId, generation, count) {
+    return Array.from(
+      { length: count },
+      (_, index) => `${KEY_PREFIX}${taskId}_${generation}_${index}`
+    );
+  }
+}
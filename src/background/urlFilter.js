@@ -0,0 +1,52 @@
+import { compileUrlPattern } from '../shared/utils.js';
+
+const NO_INCLUDE_MATCH = 'include: no pattern matched';
+
+function compileRules(patterns, kind) {
+  const rules = [];
+
+  for (const pattern of patterns) {
+    try {
+      rules.push({ label: `${kind}: ${pattern}`, matches: compileUrlPattern(pattern) });
+    } catch (error) {
+      console.warn(`Ignoring invalid ${kind} pattern "${pattern}":`, error.message);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Decides which discovered links a crawl may follow. Exclude patterns win
+ * over include patterns; with no include patterns every link not excluded
+ * is allowed.
+ */
+export class UrlFilter {
+  /**
+   * @param {Object} patterns - Filter patterns, see compileUrlPattern for the syntax
+   * @param {string[]} patterns.include - Links must match at least one of these
+   * @param {string[]} patterns.exclude - Links matching any of these are skipped
+   */
+  constructor({ include = [], exclude = [] } = {}) {
+    this.include = compileRules(include, 'include');
+    this.exclude = compileRules(exclude, 'exclude');
+  }
+
+  /**
+   * Finds the rule that keeps a link out of the crawl
+   * @param {string} url - The link URL
+   * @returns {string|null} - Label of the rejecting rule, or null if the link is allowed
+   */
+  getRejectingRule(url) {
+    const excluded = this.exclude.find((rule) => rule.matches(url));
+    if (excluded) {
+      return excluded.label;
+    }
+
+    if (this.include.length > 0 && !this.include.some((rule) => rule.matches(url))) {
+      return NO_INCLUDE_MATCH;
+    }
+
+    return null;
+  }
+}
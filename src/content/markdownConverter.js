@@ -0,0 +1,653 @@
+/**
+ * HTML to Markdown converter injected into scraped pages next to Readability.
+ * Loaded as a classic script, so it exposes `MarkdownConverter` on the global
+ * object instead of using module exports.
+ */
+(() => {
+  if (globalThis.MarkdownConverter) {
+    return;
+  }
+
+  const BLOCK_TAGS = new Set([
+    'ADDRESS',
+    'ARTICLE',
+    'ASIDE',
+    'BLOCKQUOTE',
+    'CAPTION',
+    'DD',
+    'DETAILS',
+    'DIALOG',
+    'DIV',
+    'DL',
+    'DT',
+    'FIELDSET',
+    'FIGCAPTION',
+    'FIGURE',
+    'FOOTER',
+    'FORM',
+    'H1',
+    'H2',
+    'H3',
+    'H4',
+    'H5',
+    'H6',
+    'HEADER',
+    'HGROUP',
+    'HR',
+    'LI',
+    'MAIN',
+    'NAV',
+    'OL',
+    'P',
+    'PRE',
+    'SECTION',
+    'SUMMARY',
+    'TABLE',
+    'TBODY',
+    'TD',
+    'TFOOT',
+    'TH',
+    'THEAD',
+    'TR',
+    'UL',
+  ]);
+
+  const SKIPPED_TAGS = new Set([
+    'BUTTON',
+    'CANVAS',
+    'IFRAME',
+    'INPUT',
+    'NOSCRIPT',
+    'OBJECT',
+    'SCRIPT',
+    'SELECT',
+    'STYLE',
+    'SVG',
+    'TEMPLATE',
+    'TEXTAREA',
+  ]);
+
+  const LIST_ITEM_PATTERN = /^(?:[-*+]|\d+[.)]) /;
+
+  // Line-number gutters added by highlighters; they are not part of the code
+  const CODE_GUTTER_SELECTOR = [
+    '.line-numbers-rows',
+    '.hljs-ln-numbers',
+    '.linenos',
+    '.lineno',
+    '.gutter',
+  ].join(', ');
+
+  const LANGUAGE_CLASS_PATTERNS = [
+    /^language-(.+)$/, // Prism, highlight.js, CommonMark renderers
+    /^lang-(.+)$/, // Google Prettify
+    /^highlight-source-(.+)$/, // GitHub
+    /^highlight-(.+)$/, // Sphinx, Pygments
+  ];
+
+  const NO_LANGUAGE = new Set([
+    'none',
+    'nohighlight',
+    'no-highlight',
+    'plain',
+    'plaintext',
+    'text',
+  ]);
+
+  // Cell content that a single pipe-table row cannot hold
+  const COMPLEX_CELL_SELECTOR = 'table, pre, ul, ol, blockquote, h1, h2, h3, h4, h5, h6';
+
+  const TABLE_HTML_ATTRIBUTES = new Set(['colspan', 'rowspan', 'href', 'src', 'alt']);
+
+  const MAX_CELL_SPAN = 100;
+
+  /**
+   * Converts a DOM subtree into Markdown
+   */
+  class MarkdownConverter {
+    /**
+     * @param {Object} options - Conversion options
+     * @param {string} options.baseUrl - URL used to resolve relative links and images
+     * @param {number} options.headingOffset - Levels added to every heading (default: 0)
+     */
+    constructor(options = {}) {
+      this.baseUrl = options.baseUrl || globalThis.location?.href || '';
+      this.headingOffset = Math.max(0, Number(options.headingOffset) || 0);
+    }
+
+    /**
+     * Converts a node and its descendants
+     * @param {Node} root - Element, document or fragment to convert
+     * @returns {string} - The Markdown text
+     */
+    convert(root) {
+      if (!root) {
+        return '';
+      }
+
+      const container = root.body ?? root;
+      return this.renderBlocks(container).join('\n\n').trim();
+    }
+
+    /**
+     * Renders the children of a container as a list of Markdown blocks
+     * @param {Node} parent - The container node
+     * @returns {string[]}
+     */
+    renderBlocks(parent) {
+      const blocks = [];
+      let inline = '';
+
+      const flush = () => {
+        const text = this.cleanInline(inline);
+        if (text) {
+          blocks.push(text);
+        }
+        inline = '';
+      };
+
+      for (const child of parent.childNodes) {
+        if (child.nodeType === Node.ELEMENT_NODE) {
+          if (SKIPPED_TAGS.has(child.nodeName.toUpperCase())) {
+            continue;
+          }
+          if (BLOCK_TAGS.has(child.nodeName.toUpperCase())) {
+            flush();
+            blocks.push(...this.renderBlock(child));
+            continue;
+          }
+        }
+        inline += this.renderInline(child);
+      }
+
+      flush();
+      return blocks;
+    }
+
+    /**
+     * Renders a block-level element
+     * @param {Element} element - The element to render
+     * @returns {string[]}
+     */
+    renderBlock(element) {
+      const tag = element.nodeName.toUpperCase();
+
+      switch (tag) {
+        case 'H1':
+        case 'H2':
+        case 'H3':
+        case 'H4':
+        case 'H5':
+        case 'H6':
+          return this.renderHeading(element, Number(tag[1]));
+        case 'UL':
+        case 'OL':
+          return this.renderList(element, tag === 'OL');
+        case 'BLOCKQUOTE':
+          return this.renderBlockquote(element);
+        case 'PRE':
+          return this.renderPreformatted(element);
+        case 'TABLE':
+          return this.renderTable(element);
+        case 'HR':
+          return ['---'];
+        default:
+          return this.renderBlocks(element);
+      }
+    }
+
+    renderHeading(element, level) {
+      const text = this.cleanInline(this.renderChildrenInline(element)).replace(/\n/g, ' ');
+      if (!text) {
+        return [];
+      }
+      const depth = Math.min(6, level + this.headingOffset);
+      return [`${'#'.repeat(depth)} ${text}`];
+    }
+
+    renderList(element, ordered) {
+      const start = Number.parseInt(element.getAttribute('start'), 10);
+      let number = Number.isFinite(start) ? start : 1;
+      const items = [];
+
+      for (const child of element.children) {
+        if (child.nodeName.toUpperCase() !== 'LI') {
+          continue;
+        }
+
+        const marker = ordered ? `${number}.` : '-';
+        number += 1;
+
+        const body = this.joinListItemBlocks(this.renderBlocks(child));
+        items.push(this.prefixLines(body, `${marker} `, ' '.repeat(marker.length + 1)));
+      }
+
+      return items.length > 0 ? [items.join('\n')] : [];
+    }
+
+    joinListItemBlocks(blocks) {
+      return blocks.reduce((text, block, index) => {
+        if (index === 0) {
+          return block;
+        }
+        const separator = LIST_ITEM_PATTERN.test(block) ? '\n' : '\n\n';
+        return `${text}${separator}${block}`;
+      }, '');
+    }
+
+    renderBlockquote(element) {
+      const body = this.renderBlocks(element).join('\n\n');
+      if (!body) {
+        return [];
+      }
+      return [
+        body
+          .split('\n')
+          .map((line) => (line ? `> ${line}` : '>'))
+          .join('\n'),
+      ];
+    }
+
+    renderPreformatted(element) {
+      const code = this.extractCodeText(element).replace(/^\n/, '').replace(/\s+$/, '');
+      if (!code) {
+        return [];
+      }
+
+      const language = this.detectLanguage(element);
+      const fence = '`'.repeat(Math.max(3, this.longestBacktickRun(code) + 1));
+      return [`${fence}${language}\n${code}\n${fence}`];
+    }
+
+    /**
+     * Reads the text of a code block without highlighter gutters
+     * @param {Element} element - The `pre` element
+     * @returns {string}
+     */
+    extractCodeText(element) {
+      const clone = element.cloneNode(true);
+      clone.querySelectorAll(CODE_GUTTER_SELECTOR).forEach((gutter) => gutter.remove());
+      clone.querySelectorAll('br').forEach((br) => br.replaceWith('\n'));
+      return clone.textContent.replace(/\r\n?/g, '\n').replace(/\u00a0/g, ' ');
+    }
+
+    /**
+     * Infers a code block language from highlighter classes and data attributes
+     * @param {Element} element - The `pre` element
+     * @returns {string} - Language tag, or an empty string when unknown
+     */
+    detectLanguage(element) {
+      const candidates = [element.querySelector('code'), element, element.parentElement];
+      if (element.parentElement) {
+        candidates.push(element.parentElement.parentElement);
+      }
+
+      for (const node of candidates) {
+        if (!node) {
+          continue;
+        }
+
+        const attribute = node.getAttribute('data-lang') || node.getAttribute('data-language');
+        if (attribute) {
+          return this.normalizeLanguage(attribute);
+        }
+
+        const language = this.languageFromClasses(node);
+        if (language !== null) {
+          return language;
+        }
+      }
+
+      return '';
+    }
+
+    languageFromClasses(node) {
+      const classes = Array.from(node.classList ?? []);
+
+      for (const className of classes) {
+        for (const pattern of LANGUAGE_CLASS_PATTERNS) {
+          const match = className.match(pattern);
+          if (match) {
+            return this.normalizeLanguage(match[1]);
+          }
+        }
+      }
+
+      // highlight.js without a prefix: class="hljs python"
+      if (classes.includes('hljs')) {
+        const name = classes.find(
+          (className) => className !== 'hljs' && !className.startsWith('hljs-')
+        );
+        return name ? this.normalizeLanguage(name) : '';
+      }
+
+      return null;
+    }
+
+    normalizeLanguage(value) {
+      const language = value
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9+#_.-]/g, '');
+      return NO_LANGUAGE.has(language) ? '' : language;
+    }
+
+    /**
+     * Renders a table as a GFM pipe table, or as an HTML block when the table
+     * is too irregular for pipe syntax
+     * @param {HTMLTableElement} table - The table element
+     * @returns {string[]}
+     */
+    renderTable(table) {
+      const rows = Array.from(table.rows);
+      if (rows.length === 0) {
+        return [];
+      }
+
+      const blocks = [];
+      if (table.caption) {
+        const caption = this.cleanInline(this.renderChildrenInline(table.caption));
+        if (caption) {
+          blocks.push(caption);
+        }
+      }
+
+      if (this.isIrregularTable(table)) {
+        blocks.push(this.renderTableHtml(table));
+        return blocks;
+      }
+
+      const grid = this.buildTableGrid(rows);
+      const width = grid.reduce((widest, row) => Math.max(widest, row.length), 0);
+
+      if (width === 0 || (width === 1 && this.isLayoutTable(table))) {
+        for (const row of rows) {
+          for (const cell of row.cells) {
+            blocks.push(...this.renderBlocks(cell));
+          }
+        }
+        return blocks;
+      }
+
+      const lines = grid.map((row) => {
+        const cells = Array.from({ length: width }, (_, index) => row[index] ?? '');
+        return `| ${cells.join(' | ')} |`;
+      });
+      const separator = `| ${Array(width).fill('---').join(' | ')} |`;
+
+      // GFM needs a header row; a table without one gets an empty header
+      // rather than having its first row of data promoted
+      if (this.hasHeaderRow(table)) {
+        lines.splice(1, 0, separator);
+      } else {
+        lines.unshift(`| ${Array(width).fill('').join(' | ')} |`, separator);
+      }
+      blocks.push(lines.join('\n'));
+      return blocks;
+    }
+
+    hasHeaderRow(table) {
+      if (table.tHead && table.tHead.rows.length > 0) {
+        return true;
+      }
+
+      const firstRow = Array.from(table.rows[0].cells);
+      return firstRow.length > 0 && firstRow.every((cell) => cell.nodeName.toUpperCase() === 'TH');
+    }
+
+    /**
+     * Checks whether a table only arranges content: it says so with its role,
+     * or it has no caption or header cells
+     * @param {HTMLTableElement} table - The table element
+     * @returns {boolean}
+     */
+    isLayoutTable(table) {
+      const role = table.getAttribute('role');
+      if (role === 'presentation' || role === 'none') {
+        return true;
+      }
+
+      return !table.caption && !table.tHead && !table.querySelector('th');
+    }
+
+    isIrregularTable(table) {
+      if (table.tHead && table.tHead.rows.length > 1) {
+        return true;
+      }
+
+      return Array.from(table.rows).some((row) =>
+        Array.from(row.cells).some((cell) => cell.querySelector(COMPLEX_CELL_SELECTOR))
+      );
+    }
+
+    /**
+     * Expands colspan and rowspan into a rectangular grid of cell text.
+     * Row-spanning cells repeat their text in each row; column-spanning
+     * cells keep it in the first column and leave the rest empty.
+     * @param {HTMLTableRowElement[]} rows - Table rows in document order
+     * @returns {string[][]}
+     */
+    buildTableGrid(rows) {
+      const grid = rows.map(() => []);
+
+      rows.forEach((row, rowIndex) => {
+        let column = 0;
+
+        for (const cell of row.cells) {
+          while (grid[rowIndex][column] !== undefined) {
+            column += 1;
+          }
+
+          const text = this.renderTableCell(cell);
+          const colSpan = Math.min(Math.max(cell.colSpan || 1, 1), MAX_CELL_SPAN);
+          const rowSpan =
+            cell.rowSpan === 0
+              ? rows.length - rowIndex
+              : Math.min(Math.max(cell.rowSpan || 1, 1), rows.length - rowIndex);
+
+          for (let rowOffset = 0; rowOffset < rowSpan; rowOffset += 1) {
+            for (let columnOffset = 0; columnOffset < colSpan; columnOffset += 1) {
+              grid[rowIndex + rowOffset][column + columnOffset] = columnOffset === 0 ? text : '';
+            }
+          }
+
+          column += colSpan;
+        }
+      });
+
+      return grid;
+    }
+
+    renderTableCell(cell) {
+      return this.renderBlocks(cell).join('\n').replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+    }
+
+    renderTableHtml(table) {
+      const clone = table.cloneNode(true);
+      const skipped = Array.from(SKIPPED_TAGS, (tag) => tag.toLowerCase()).join(', ');
+      clone.querySelectorAll(skipped).forEach((node) => node.remove());
+
+      for (const node of [clone, ...clone.querySelectorAll('*')]) {
+        for (const attribute of Array.from(node.attributes)) {
+          if (!TABLE_HTML_ATTRIBUTES.has(attribute.name)) {
+            node.removeAttribute(attribute.name);
+          } else if (attribute.name === 'href' || attribute.name === 'src') {
+            node.setAttribute(attribute.name, this.resolveUrl(attribute.value));
+          }
+        }
+      }
+
+      // A blank line would end the HTML block early. Code keeps its blank
+      // lines as character references, which render the same.
+      return clone.outerHTML.replace(/(<(pre|code)\b[\s\S]*?<\/\2>)|\n\s*\n/g, (match, code) =>
+        code ? code.replace(/\n(?=[ \t]*\n)/g, '&#10;') : '\n'
+      );
+    }
+
+    renderInlineCode(element) {
+      const text = element.textContent.replace(/\s+/g, ' ');
+      const code = text.trim();
+      if (!code) {
+        return text ? ' ' : '';
+      }
+
+      const fence = '`'.repeat(this.longestBacktickRun(code) + 1);
+      const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+      return this.keepOuterSpace(text, `${fence}${padding}${code}${padding}${fence}`);
+    }
+
+    longestBacktickRun(text) {
+      const runs = text.match(/`+/g) ?? [];
+      return runs.reduce((longest, run) => Math.max(longest, run.length), 0);
+    }
+
+    /**
+     * Renders a node as inline Markdown
+     * @param {Node} node - The node to render
+     * @returns {string}
+     */
+    renderInline(node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return this.escapeText(node.nodeValue.replace(/\s+/g, ' '));
+      }
+
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return '';
+      }
+
+      const tag = node.nodeName.toUpperCase();
+      if (SKIPPED_TAGS.has(tag)) {
+        return '';
+      }
+
+      switch (tag) {
+        case 'BR':
+          return '\n';
+        case 'STRONG':
+        case 'B':
+          return this.wrapInline(this.renderChildrenInline(node), '**');
+        case 'EM':
+        case 'I':
+          return this.wrapInline(this.renderChildrenInline(node), '*');
+        case 'DEL':
+        case 'S':
+        case 'STRIKE':
+          return this.wrapInline(this.renderChildrenInline(node), '~~');
+        case 'A':
+          return this.renderLink(node);
+        case 'IMG':
+          return this.renderImage(node);
+        case 'CODE':
+        case 'KBD':
+        case 'SAMP':
+        case 'TT':
+          return this.renderInlineCode(node);
+        default:
+          if (BLOCK_TAGS.has(tag)) {
+            return ` ${this.renderChildrenInline(node)} `;
+          }
+          return this.renderChildrenInline(node);
+      }
+    }
+
+    renderChildrenInline(element) {
+      let text = '';
+      for (const child of element.childNodes) {
+        text += this.renderInline(child);
+      }
+      return text;
+    }
+
+    renderLink(element) {
+      const raw = this.renderChildrenInline(element);
+      const text = this.cleanInline(raw).replace(/\n/g, ' ');
+      const href = this.resolveUrl(element.getAttribute('href'));
+
+      if (!text) {
+        return raw ? ' ' : '';
+      }
+      if (!href || /^javascript:/i.test(href)) {
+        return raw;
+      }
+      return this.keepOuterSpace(raw, `[${text}](${href})`);
+    }
+
+    renderImage(element) {
+      const src = this.resolveUrl(element.getAttribute('src'));
+      if (!src || src.startsWith('data:')) {
+        return '';
+      }
+      const alt = this.escapeText((element.getAttribute('alt') || '').replace(/\s+/g, ' ').trim());
+      return `![${alt}](${src})`;
+    }
+
+    /**
+     * Wraps inline text in a marker, keeping surrounding whitespace outside it
+     * @param {string} text - Rendered inline text
+     * @param {string} marker - Markdown marker such as `**`
+     * @returns {string}
+     */
+    wrapInline(text, marker) {
+      const trimmed = text.trim();
+      if (!trimmed) {
+        return text ? ' ' : '';
+      }
+      return this.keepOuterSpace(text, `${marker}${trimmed}${marker}`);
+    }
+
+    keepOuterSpace(source, rendered) {
+      const leading = /^\s/.test(source) ? ' ' : '';
+      const trailing = /\s$/.test(source) ? ' ' : '';
+      return `${leading}${rendered}${trailing}`;
+    }
+
+    resolveUrl(value) {
+      if (!value) {
+        return '';
+      }
+      try {
+        return new URL(value.trim(), this.baseUrl)
+          .toString()
+          .replace(/ /g, '%20')
+          .replace(/\(/g, '%28')
+          .replace(/\)/g, '%29');
+      } catch (_) {
+        return '';
+      }
+    }
+
+    /**
+     * Escapes characters that Markdown would treat as formatting
+     * @param {string} text - Plain text
+     * @returns {string}
+     */
+    escapeText(text) {
+      return text.replace(/[\\`*[\]]/g, '\\$&').replace(/_/g, (match, offset, source) => {
+        const before = source[offset - 1] ?? '';
+        const after = source[offset + 1] ?? '';
+        return /\w/.test(before) && /\w/.test(after) ? match : '\\_';
+      });
+    }
+
+    cleanInline(text) {
+      return text
+        .replace(/ {2,}/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .trim();
+    }
+
+    prefixLines(text, first, rest) {
+      return text
+        .split('\n')
+        .map((line, index) => {
+          if (index === 0) {
+            return `${first}${line}`;
+          }
+          return line ? `${rest}${line}` : '';
+        })
+        .join('\n');
+    }
+  }
+
+  globalThis.MarkdownConverter = MarkdownConverter;
+})();
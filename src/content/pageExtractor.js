@@ -0,0 +1,119 @@
+/**
+ * Pulls a page's main content, metadata and links out of a document. Runs in
+ * scraped tabs and in the offscreen document that parses fetched HTML, after
+ * Readability and MarkdownConverter. Loaded as a classic script, so it
+ * exposes `PageExtractor` on the global object instead of using module
+ * exports.
+ */
+(() => {
+  if (globalThis.PageExtractor) {
+    return;
+  }
+
+  const CONTENT_SELECTORS = ['article', 'main', '[role="main"]', '.content', '.post'];
+  // Elements client-side frameworks render into
+  const APP_ROOT_SELECTOR = '#root, #app, #__next, #__nuxt, [data-reactroot], app-root';
+
+  function textOf(element) {
+    return (element.innerText ?? element.textContent ?? '').trim();
+  }
+
+  function toMarkdown(root, baseUrl) {
+    if (!globalThis.MarkdownConverter) {
+      return '';
+    }
+    try {
+      const converter = new globalThis.MarkdownConverter({ baseUrl, headingOffset: 1 });
+      return converter.convert(root);
+    } catch (error) {
+      console.warn('Markdown conversion failed:', error.message);
+      return '';
+    }
+  }
+
+  /**
+   * Extracts a page
+   * @param {Document} doc - The page document
+   * @param {string} baseUrl - The page URL, for resolving links and images
+   * @returns {{title: string, content: string, links: Array, metadata: Object}}
+   */
+  function extract(doc, baseUrl) {
+    const page = {
+      title: doc.title || baseUrl,
+      content: '',
+      links: [],
+      metadata: {
+        description: doc.querySelector('meta[name="description"]')?.content?.trim() || null,
+        canonicalUrl: doc.querySelector('link[rel="canonical"]')?.href || null,
+        language: doc.documentElement.lang?.trim() || null,
+      },
+    };
+
+    try {
+      if (globalThis.Readability) {
+        const parsed = new globalThis.Readability(doc.cloneNode(true)).parse();
+        if (parsed?.textContent) {
+          const articleDoc = new DOMParser().parseFromString(parsed.content ?? '', 'text/html');
+          page.content = toMarkdown(articleDoc, baseUrl) || parsed.textContent.trim();
+          page.title = parsed.title || page.title;
+          page.metadata.author = parsed.byline?.trim() || null;
+          page.metadata.excerpt = parsed.excerpt?.trim() || null;
+          page.metadata.siteName = parsed.siteName?.trim() || null;
+          page.metadata.publishedTime = parsed.publishedTime?.trim() || null;
+          page.metadata.language = parsed.lang?.trim() || page.metadata.language;
+        }
+      }
+    } catch (error) {
+      console.warn('Readability extraction failed:', error.message);
+    }
+
+    if (!page.content || page.content.length < 100) {
+      for (const selector of CONTENT_SELECTORS) {
+        const element = doc.querySelector(selector);
+        if (element && textOf(element).length > 200) {
+          page.content = toMarkdown(element, baseUrl) || textOf(element);
+          break;
+        }
+      }
+    }
+
+    if (!page.content && doc.body) {
+      page.content = toMarkdown(doc.body, baseUrl) || textOf(doc.body);
+    }
+
+    page.links = Array.from(doc.querySelectorAll('a[href]'))
+      .filter((anchor) => anchor.href)
+      .map((anchor) => ({
+        url: anchor.href,
+        text: (anchor.textContent || anchor.getAttribute('aria-label') || '')
+          .replace(/\s+/g, ' ')
+          .trim()
+          .slice(0, 200),
+      }));
+
+    return page;
+  }
+
+  /**
+   * Guesses whether static HTML is a shell that scripts fill in, so the
+   * page needs a real tab to capture
+   * @param {Document} doc - The parsed static HTML
+   * @param {string} content - Content extracted from it
+   * @param {number} minTextLength - Less extracted text than this counts as empty
+   * @returns {string|null} - Why the page looks client-rendered, or null
+   */
+  function looksClientRendered(doc, content, minTextLength) {
+    if ((content ?? '').trim().length < minTextLength) {
+      return 'too little text in the static HTML';
+    }
+
+    const appRoot = doc.querySelector(APP_ROOT_SELECTOR);
+    if (appRoot && !appRoot.textContent.trim()) {
+      return 'the app container is empty until scripts run';
+    }
+
+    return null;
+  }
+
+  globalThis.PageExtractor = { extract, looksClientRendered };
+})();
@@ -0,0 +1,84 @@
+/**
+ * Offscreen document for the work the background worker has no DOM for. It
+ * parses pages downloaded by the fetch mode, returning the same content,
+ * metadata and links a scraped tab would give, and builds export files as
+ * Blobs the worker can download by object URL.
+ */
+
+/**
+ * Parses downloaded HTML and extracts the page
+ * @param {string} html - The page HTML
+ * @param {string} url - The URL the HTML came from, after redirects
+ * @param {number} minTextLength - Less extracted text than this means the page needs a tab
+ * @returns {Object} - The extracted page, with clientRendered set to why it
+ *   needs a tab, or null
+ */
+export function parsePage(html, url, minTextLength) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+
+  // Parsed documents have no URL of their own, so links resolve against a base
+  const existingBase = doc.querySelector('base[href]');
+  const baseUrl = existingBase ? new URL(existingBase.getAttribute('href'), url).href : url;
+  existingBase?.remove();
+  const base = doc.createElement('base');
+  base.href = baseUrl;
+  doc.head.prepend(base);
+
+  const page = globalThis.PageExtractor.extract(doc, url);
+  return {
+    ...page,
+    clientRendered: globalThis.PageExtractor.looksClientRendered(doc, page.content, minTextLength),
+  };
+}
+
+// Exports being written, by export ID. Each append wraps the Blob so far with
+// the new text, which lets Chrome keep large exports on disk instead of in memory.
+const exports = new Map();
+
+const handlers = {
+  parsePage: (message) => ({
+    page: parsePage(message.html, message.url, message.minTextLength),
+  }),
+  startExport: (message) => {
+    exports.set(message.exportId, new Blob([]));
+    return {};
+  },
+  appendExport: (message) => {
+    const blob = exports.get(message.exportId);
+    if (!blob) {
+      throw new Error(`Unknown export: ${message.exportId}`);
+    }
+    exports.set(message.exportId, new Blob([blob, message.text]));
+    return {};
+  },
+  finishExport: (message) => {
+    const blob = exports.get(message.exportId);
+    if (!blob) {
+      throw new Error(`Unknown export: ${message.exportId}`);
+    }
+    exports.delete(message.exportId);
+    return { url: URL.createObjectURL(new Blob([blob], { type: message.type })) };
+  },
+  discardExport: (message) => {
+    exports.delete(message.exportId);
+    return {};
+  },
+  revokeExport: (message) => {
+    URL.revokeObjectURL(message.url);
+    return {};
+  },
+};
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  const handler = message?.target === 'offscreen' ? handlers[message.action] : null;
+  if (!handler) {
+    return false;
+  }
+
+  try {
+    sendResponse({ success: true, ...handler(message) });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+  return false;
+});
@@ -1,5 +1,7 @@
 // popup.js
 import { safeTabs, safeRuntime } from '../shared/safeChromeAPI.js';
+import { compileUrlPattern } from '../shared/utils.js';
+import { CONFIG } from '../shared/config.js';
 
 // Reset popup state when extension is reloaded
 function resetPopupState() {
@@ -13,10 +15,15 @@ function resetPopupState() {
   document.getElementById('status').textContent = 'Ready';
   document.getElementById('processed').textContent = '0';
   document.getElementById('total').textContent = '0';
+  document.getElementById('filterStats').textContent = '';
+  document.getElementById('robotsStats').textContent = '';
+  document.getElementById('rateStats').textContent = '';
 
   // Reset buttons
   document.getElementById('startButton').disabled = false;
   document.getElementById('stopButton').disabled = true;
+  document.getElementById('stopExportButton').disabled = true;
+  document.getElementById('retryFailedButton').disabled = true;
 
   // Add reset notification
   addDebugLog('🔄 Extension reloaded - popup state reset');
@@ -58,12 +65,64 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('crawlMode').checked = true;
   document.getElementById('maxPages').value = 2000;
   document.getElementById('concurrency').value = 10;
+  document.getElementById('adaptiveConcurrency').checked = false;
+  document.getElementById('maxDepth').value = '';
+  document.getElementById('requestsPerSecond').value = 4;
   document.getElementById('delay').value = 0;
+  document.getElementById('crawlOrder').value = 'bfs';
+  document.getElementById('priorityKeywords').value = '';
+  document.getElementById('fetchMode').value = 'tab';
+  document.getElementById('tabPlacement').value = 'window';
+  document.getElementById('metadataFormat').value = 'yaml';
+  document.getElementById('hostScope').value = 'host';
+  document.getElementById('allowedHosts').value = '';
+  document.getElementById('pathScope').value = 'host';
+  document.getElementById('scopePrefix').value = '';
+  document.getElementById('robotsMode').value = 'auto';
+  document.getElementById('queryMode').value = 'strip';
+  document.getElementById('queryParams').value = '';
+  document.getElementById('sortQueryParams').checked = true;
+  document.getElementById('siteQueryRules').value = '';
+  document.getElementById('useSitemap').checked = false;
+  document.getElementById('sitemapSince').value = '';
+  document.getElementById('nearDuplicateThreshold').value = '';
+  document.getElementById('stripBoilerplate').checked = true;
+  document.getElementById('includePatterns').value = '';
+  document.getElementById('excludePatterns').value = '';
 
   // Check if extension was reloaded
   checkExtensionReload();
 });
 
+// The scope path only applies to the custom scope
+document.addEventListener('DOMContentLoaded', () => {
+  const pathScope = document.getElementById('pathScope');
+  pathScope.addEventListener('change', () => {
+    document.getElementById('scopePrefix').disabled = pathScope.value !== 'custom';
+  });
+});
+
+// Keywords only rank pages in the most-relevant-first order
+document.addEventListener('DOMContentLoaded', () => {
+  const crawlOrder = document.getElementById('crawlOrder');
+  crawlOrder.addEventListener('change', () => {
+    document.getElementById('priorityKeywords').disabled = crawlOrder.value !== 'best-first';
+  });
+});
+
+// Only the allowlist and denylist modes use the parameter list; the denylist
+// starts from the usual tracking and session parameters
+document.addEventListener('DOMContentLoaded', () => {
+  const queryMode = document.getElementById('queryMode');
+  const queryParams = document.getElementById('queryParams');
+  queryMode.addEventListener('change', () => {
+    queryParams.disabled = !['allowlist', 'denylist'].includes(queryMode.value);
+    if (queryMode.value === 'denylist' && !queryParams.value.trim()) {
+      queryParams.value = CONFIG.DEFAULT_QUERY_DENYLIST.join(', ');
+    }
+  });
+});
+
 // Clear log button
 document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('clearLogButton').addEventListener('click', () => {
@@ -100,12 +159,57 @@ document.getElementById('startButton').addEventListener('click', async () => {
       return;
     }
 
+    const includePatterns = readPatterns('includePatterns');
+    const excludePatterns = readPatterns('excludePatterns');
+    if (!includePatterns || !excludePatterns) {
+      return;
+    }
+
+    const siteQueryRules = readSiteQueryRules();
+    if (!siteQueryRules) {
+      return;
+    }
+
+    const pathScope = document.getElementById('pathScope').value;
+    const scopePrefix = document.getElementById('scopePrefix').value.trim();
+    if (pathScope === 'custom' && !scopePrefix) {
+      addDebugLog('Enter a scope path, such as /docs/v2/, or pick another crawl scope');
+      return;
+    }
+
     const tabId = tabs[0].id;
     const settings = {
       crawlMode: document.getElementById('crawlMode').checked,
       maxPages: parseInt(document.getElementById('maxPages').value) || 2000,
       concurrency: parseInt(document.getElementById('concurrency').value) || 10,
+      adaptiveConcurrency: document.getElementById('adaptiveConcurrency').checked,
       delay: parseInt(document.getElementById('delay').value) || 0,
+      requestsPerSecond: parseFloat(document.getElementById('requestsPerSecond').value) || 4,
+      // Left blank for no depth limit
+      maxDepth: parseDepth(document.getElementById('maxDepth').value),
+      crawlOrder: document.getElementById('crawlOrder').value,
+      priorityKeywords: splitParams(document.getElementById('priorityKeywords').value),
+      fetchMode: document.getElementById('fetchMode').value,
+      tabPlacement: document.getElementById('tabPlacement').value,
+      hostScope: document.getElementById('hostScope').value,
+      allowedHosts: readLines('allowedHosts'),
+      pathScope,
+      scopePrefix,
+      robotsMode: document.getElementById('robotsMode').value,
+      queryMode: document.getElementById('queryMode').value,
+      queryParams: splitParams(document.getElementById('queryParams').value),
+      sortQueryParams: document.getElementById('sortQueryParams').checked,
+      siteQueryRules,
+      useSitemap: document.getElementById('useSitemap').checked,
+      sitemapSince: document.getElementById('sitemapSince').value,
+      metadataFormat: document.getElementById('metadataFormat').value,
+      // Left blank to keep near-duplicate pages
+      nearDuplicateThreshold: parseSimilarity(
+        document.getElementById('nearDuplicateThreshold').value
+      ),
+      stripBoilerplate: document.getElementById('stripBoilerplate').checked,
+      includePatterns,
+      excludePatterns,
     };
     // Enforce caps
     settings.maxPages = Math.min(settings.maxPages, 2000);
@@ -125,6 +229,11 @@ document.getElementById('startButton').addEventListener('click', async () => {
     } else {
       document.getElementById('startButton').disabled = true;
       document.getElementById('stopButton').disabled = false;
+      document.getElementById('stopExportButton').disabled = false;
+      document.getElementById('retryFailedButton').disabled = true;
+      document.getElementById('filterStats').textContent = '';
+      document.getElementById('robotsStats').textContent = '';
+      document.getElementById('rateStats').textContent = '';
       addDebugLog('User pressed Start. Task started...');
     }
   } catch (error) {
@@ -150,6 +259,7 @@ document.getElementById('stopButton').addEventListener('click', async () => {
     } else {
       document.getElementById('startButton').disabled = false;
       document.getElementById('stopButton').disabled = true;
+      document.getElementById('stopExportButton').disabled = true;
       addDebugLog('Stop requested by user.');
     }
   } catch (error) {
@@ -157,6 +267,59 @@ document.getElementById('stopButton').addEventListener('click', async () => {
   }
 });
 
+// Stop scraping and export the pages captured so far
+document.getElementById('stopExportButton').addEventListener('click', async () => {
+  try {
+    const tabs = await safeTabs.query({ active: true, currentWindow: true });
+    if (!tabs || tabs.length === 0) {
+      addDebugLog('Error: No active tab found');
+      return;
+    }
+
+    const tabId = tabs[0].id;
+    const response = await safeRuntime.sendMessage({ action: 'stop', tabId, exportPartial: true });
+
+    if (response === null) {
+      addDebugLog('Warning: Background script unavailable - stop command may not be received');
+      addDebugLog('Try reloading the extension if task continues running');
+    } else {
+      // Start is re-enabled by the done message once the export is written
+      document.getElementById('stopButton').disabled = true;
+      document.getElementById('stopExportButton').disabled = true;
+      addDebugLog('Stop and export requested by user. Waiting for open pages to finish...');
+    }
+  } catch (error) {
+    addDebugLog(`Error stopping task: ${error.message}`);
+  }
+});
+
+// Retry only the pages that failed in this tab's last crawl
+document.getElementById('retryFailedButton').addEventListener('click', async () => {
+  try {
+    const tabs = await safeTabs.query({ active: true, currentWindow: true });
+    if (!tabs || tabs.length === 0) {
+      addDebugLog('Error: No active tab found');
+      return;
+    }
+
+    const response = await safeRuntime.sendMessage({ action: 'retryFailed', tabId: tabs[0].id });
+
+    if (response === null) {
+      addDebugLog('Warning: Background script unavailable - retry may not start');
+    } else if (!response.success) {
+      addDebugLog(`Cannot retry failed pages: ${response.error}`);
+    } else {
+      document.getElementById('startButton').disabled = true;
+      document.getElementById('stopButton').disabled = false;
+      document.getElementById('stopExportButton').disabled = false;
+      document.getElementById('retryFailedButton').disabled = true;
+      addDebugLog(`Retrying ${response.count} failed page(s)...`);
+    }
+  } catch (error) {
+    addDebugLog(`Error retrying failed pages: ${error.message}`);
+  }
+});
+
 // Subscribe to updates
 (async () => {
   try {
@@ -195,6 +358,31 @@ if (port && port.onMessage) {
         document.getElementById('total').textContent = msg.total;
       }
     }
+    // If a crawl is already running for this tab
+    if (msg.running) {
+      document.getElementById('startButton').disabled = true;
+      document.getElementById('stopButton').disabled = false;
+      document.getElementById('stopExportButton').disabled = false;
+      document.getElementById('retryFailedButton').disabled = true;
+    }
+    // If the last crawl left pages that can be retried
+    if (msg.failedPages > 0) {
+      document.getElementById('retryFailedButton').disabled = false;
+      addDebugLog(`${msg.failedPages} page(s) failed - press Retry Failed to try them again`);
+    }
+    // If discovered links were skipped by the URL patterns
+    if (msg.filterRejections) {
+      showFilterRejections(msg.filterRejections);
+    }
+    // If robots.txt kept discovered links out of the crawl
+    if (msg.robotsSkipped > 0) {
+      document.getElementById('robotsStats').textContent =
+        `Skipped by robots.txt: ${msg.robotsSkipped} link(s)`;
+    }
+    // If the crawl reported how fast it is requesting pages
+    if (msg.requestRate) {
+      showRequestRate(msg.requestRate);
+    }
     // If we have a debug message
     if (msg.debug) {
       addDebugLog(msg.debug);
@@ -203,12 +391,93 @@ if (port && port.onMessage) {
     if (msg.done) {
       document.getElementById('startButton').disabled = false;
       document.getElementById('stopButton').disabled = true;
+      document.getElementById('stopExportButton').disabled = true;
     }
   });
 } else {
   addDebugLog('Real-time status updates unavailable - background connection failed');
 }
 
+// Parses the max-depth field; blank or invalid means no limit
+function parseDepth(value) {
+  const depth = parseInt(value);
+  return Number.isInteger(depth) && depth >= 0 ? depth : null;
+}
+
+// Turns a similarity percentage into a fraction; blank turns collapsing off
+function parseSimilarity(value) {
+  const percent = parseFloat(value);
+  return Number.isFinite(percent) ? percent / 100 : null;
+}
+
+// Reads the non-empty lines of a text area
+function readLines(elementId) {
+  return document
+    .getElementById(elementId)
+    .value.split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+// Splits a comma-separated parameter list
+function splitParams(value) {
+  return value
+    .split(',')
+    .map((param) => param.trim())
+    .filter(Boolean);
+}
+
+// Reads "host mode param, param" lines, logging and returning null if any is invalid
+function readSiteQueryRules() {
+  const rules = [];
+
+  for (const line of readLines('siteQueryRules')) {
+    const [host, mode, ...rest] = line.split(/\s+/);
+    if (!mode || !CONFIG.QUERY_MODES.includes(mode)) {
+      addDebugLog(`Invalid query rule "${line}": use host then ${CONFIG.QUERY_MODES.join(', ')}`);
+      return null;
+    }
+
+    const rule = { host, mode };
+    if (rest.length > 0) {
+      rule.params = splitParams(rest.join(' '));
+    }
+    rules.push(rule);
+  }
+
+  return rules;
+}
+
+// Reads one pattern per line, logging and returning null if any is invalid
+function readPatterns(elementId) {
+  const patterns = readLines(elementId);
+
+  for (const pattern of patterns) {
+    try {
+      compileUrlPattern(pattern);
+    } catch (error) {
+      addDebugLog(`Invalid URL pattern "${pattern}": ${error.message}`);
+      return null;
+    }
+  }
+
+  return patterns;
+}
+
+// Shows how many discovered links each URL pattern rejected
+function showFilterRejections(rejections) {
+  const lines = Object.entries(rejections).map(([rule, count]) => `${rule} - ${count} link(s)`);
+  document.getElementById('filterStats').textContent =
+    lines.length > 0 ? `Skipped by URL patterns:\n${lines.join('\n')}` : '';
+}
+
+// Shows the request rate to the crawled site, noting when it was lowered
+function showRequestRate({ host, rate, target }) {
+  const backedOff = rate < target ? ` (slowed from ${target}/s)` : '';
+  document.getElementById('rateStats').textContent =
+    `Request rate: ${rate}/s to ${host}${backedOff}`;
+}
+
 // Helper for debug output
 function addDebugLog(text) {
   // Handle case where DOM might not be ready yet
@@ -10,14 +10,158 @@ export const CONFIG = {
     MAX_CONCURRENCY: 15,
     MIN_CONCURRENCY: 1,
     MAX_RETRIES: 3,
+    MIN_REQUESTS_PER_SECOND: 0.1,
+    MAX_REQUESTS_PER_SECOND: 20,
   },
   DEFAULTS: {
     CONCURRENCY: 10,
+    // When on, concurrency is the cap the controller works within
+    ADAPTIVE_CONCURRENCY: false,
     MAX_PAGES: 2000,
     DELAY_MS: 0,
+    // Page requests per second to any one host
+    REQUESTS_PER_SECOND: 4,
     CRAWL_MODE: true,
+    METADATA_FORMAT: 'yaml',
+    // Links followed from the starting page; null means no limit
+    MAX_DEPTH: null,
+    PATH_SCOPE: 'host',
+    HOST_SCOPE: 'host',
+    ROBOTS_MODE: 'auto',
+    USE_SITEMAP: false,
+    QUERY_MODE: 'strip',
+    SORT_QUERY_PARAMS: true,
+    // Pages at least this similar to a captured page are collapsed into it;
+    // null keeps every page. Off by default: the whole page text is compared,
+    // so short pages that share a large site template can look alike.
+    NEAR_DUPLICATE_THRESHOLD: null,
+    STRIP_BOILERPLATE: true,
+    CRAWL_ORDER: 'bfs',
+    FETCH_MODE: 'tab',
+    TAB_PLACEMENT: 'window',
+  },
+  // The order queued pages are scraped in: breadth-first, depth-first, or
+  // highest score first
+  CRAWL_ORDERS: ['bfs', 'dfs', 'best-first'],
+  // Best-first score weights for shallow pages, pages under the starting
+  // path, and pages whose link text or URL mentions a priority keyword
+  FRONTIER: {
+    DEPTH_WEIGHT: 1,
+    PATH_WEIGHT: 1,
+    KEYWORD_WEIGHT: 2,
+    // Pages kept queued per page of the page limit; past that, the pages that
+    // would be scraped last are dropped
+    CAPACITY_PER_PAGE: 10,
+  },
+  // How pages are loaded: each in a background tab, or downloaded with fetch
+  // and parsed offscreen, opening a tab only for pages that need scripts
+  FETCH_MODES: ['tab', 'fetch'],
+  // Where crawl tabs open: a minimized window of their own, a collapsed tab
+  // group named after the site, or among the user's tabs
+  TAB_PLACEMENTS: ['window', 'group', 'current'],
+  STATIC_FETCH: {
+    // Fetched pages with less extracted text than this are loaded in a tab
+    MIN_TEXT_LENGTH: 200,
+  },
+  OFFSCREEN: {
+    DOCUMENT: 'src/offscreen/offscreen.html',
+    // Export text sent to the offscreen document per message
+    EXPORT_BATCH_CHARS: 1024 * 1024,
+  },
+  // How URL normalisation treats query strings: drop them, keep them, keep
+  // only listed parameters, or drop only listed parameters
+  QUERY_MODES: ['strip', 'keep', 'allowlist', 'denylist'],
+  // Tracking and session parameters dropped by the denylist mode unless the
+  // user gives their own list; a trailing * matches any suffix
+  DEFAULT_QUERY_DENYLIST: [
+    'utm_*',
+    'fbclid',
+    'gclid',
+    'msclkid',
+    'sessionid',
+    'phpsessid',
+    'jsessionid',
+  ],
+  METADATA_FORMATS: ['yaml', 'table', 'none'],
+  // Which paths a crawl may follow: the whole host, the starting page's
+  // directory, or a prefix given by the user
+  PATH_SCOPES: ['host', 'start-path', 'custom'],
+  // Which hosts a crawl may follow: only the starting host, or every host
+  // under the same registrable domain (example.co.uk, docs.example.co.uk)
+  HOST_SCOPES: ['host', 'domain'],
+  // 'auto' follows robots.txt only for crawls of AUTO_ENABLE_PAGES or more
+  ROBOTS_MODES: ['auto', 'on', 'off'],
+  ROBOTS: {
+    USER_AGENT_TOKEN: 'webpage-scraper',
+    AUTO_ENABLE_PAGES: 100,
+    FETCH_TIMEOUT: 5000,
+    CACHE_TTL: 60 * 60 * 1000,
+    MAX_CRAWL_DELAY_MS: 30000,
+  },
+  SITEMAP: {
+    // Sitemap and sitemap index files read per crawl
+    MAX_FILES: 50,
+    // Page URLs collected before scope and filters; the page limit still applies
+    MAX_URLS: 50000,
+    FETCH_TIMEOUT: 15000,
+  },
+  NEAR_DUPLICATES: {
+    SHINGLE_WORDS: 3,
+    // Shorter pages get no fingerprint, since a few words say little
+    MIN_WORDS: 30,
+    // Unrelated pages share about half their fingerprint bits, so lower
+    // thresholds would collapse pages that have nothing in common
+    MIN_THRESHOLD: 0.85,
+  },
+  // Blocks on at least this share of pages, and at least MIN_PAGES of them,
+  // are stripped from the export as boilerplate
+  BOILERPLATE: {
+    MIN_PAGE_SHARE: 0.5,
+    MIN_PAGES: 3,
+  },
+  RATE_LIMIT: {
+    // Requests a quiet host may receive at once before the rate applies
+    BURST: 2,
+    // Statuses that mean the server wants fewer requests
+    THROTTLE_STATUSES: [429, 503],
+    // Consecutive failed pages on one host that count as an error burst.
+    // Only failures that point at the server count; tab crashes do not.
+    ERROR_BURST: 3,
+    SERVER_FAILURES: ['timeout', 'empty-content'],
+    BACKOFF_FACTOR: 0.5,
+    BACKOFF_PAUSE_MS: 5000,
+    // Share of the target rate won back by each successful page
+    RECOVERY_STEP: 0.1,
+  },
+  ADAPTIVE_CONCURRENCY: {
+    INITIAL: 3,
+    // Page loads measured between adjustments
+    SAMPLE_SIZE: 8,
+    FAST_LOAD_MS: 2500,
+    SLOW_LOAD_MS: 6000,
+    MAX_TIMEOUT_RATE: 0.2,
+    // Share of the system's memory in use above which tabs are dropped
+    MAX_MEMORY_USAGE: 0.9,
+  },
+  TAB_POOL: {
+    // Pages a tab loads before it is closed and replaced, which bounds the
+    // memory a long-lived tab can build up
+    PAGES_PER_TAB: 25,
+    STORAGE_PREFIX: 'tabPool_',
+  },
+  PERSISTENCE: {
+    KEY_PREFIX: 'crawl_',
+    CHUNK_SIZE: 256 * 1024,
+    // Changes are saved once they pause for SAVE_DELAY_MS, and a busy crawl
+    // that never pauses still saves every SAVE_MAX_WAIT_MS
+    SAVE_DELAY_MS: 2000,
+    SAVE_MAX_WAIT_MS: 10000,
+    // Session storage key set once the extension runs in a browser session
+    SESSION_KEY: 'crawl_session',
   },
   RETRY_DELAYS: [750, 1500, 3000],
+  // Failure categories worth another attempt; anything else is permanent
+  RETRYABLE_FAILURES: ['timeout', 'empty-content', 'tab-crashed', 'rate-limited'],
   EXCLUDED_EXTENSIONS: [
     '.pdf',
     '.doc',
@@ -0,0 +1,146 @@
+/**
+ * Registrable-domain lookup backed by a bundled subset of the Public Suffix
+ * List (https://publicsuffix.org/, MPL-2.0). Top-level domains need no rule:
+ * a hostname with no matching rule falls back to its last label, as the PSL
+ * algorithm specifies. The rules below cover multi-label public suffixes of
+ * commonly crawled countries and hosting platforms whose subdomains belong
+ * to different owners. Many other countries sell names under second-level
+ * suffixes too, so a country-code domain the subset does not cover has an
+ * unknown registrable domain rather than a guessed one.
+ */
+
+const ICANN_RULES = [
+  // Second-level domains
+  'ac.uk co.uk gov.uk ltd.uk me.uk net.uk nhs.uk org.uk plc.uk police.uk',
+  'asn.au com.au edu.au gov.au id.au net.au org.au',
+  'ac.nz co.nz geek.nz gen.nz govt.nz net.nz org.nz school.nz',
+  'ac.jp ad.jp co.jp ed.jp go.jp gr.jp lg.jp ne.jp or.jp',
+  'ac.kr co.kr go.kr ne.kr or.kr re.kr',
+  'ac.cn com.cn edu.cn gov.cn net.cn org.cn',
+  'com.hk edu.hk gov.hk net.hk org.hk',
+  'com.tw edu.tw gov.tw net.tw org.tw',
+  'com.sg edu.sg gov.sg net.sg org.sg',
+  'com.my edu.my gov.my net.my org.my',
+  'ac.id co.id go.id net.id or.id web.id',
+  'ac.th co.th go.th in.th net.th or.th',
+  'com.vn edu.vn gov.vn net.vn org.vn',
+  'com.ph edu.ph gov.ph net.ph org.ph',
+  'ac.in co.in edu.in firm.in gen.in gov.in ind.in net.in org.in res.in',
+  'com.pk edu.pk gov.pk net.pk org.pk',
+  'ac.il co.il gov.il muni.il net.il org.il',
+  'com.sa edu.sa gov.sa net.sa org.sa',
+  'ac.ae co.ae gov.ae net.ae org.ae',
+  'com.tr edu.tr gen.tr gov.tr net.tr org.tr web.tr',
+  'com.eg edu.eg gov.eg net.eg org.eg',
+  'ac.za co.za edu.za gov.za net.za org.za web.za',
+  'co.ke or.ke ac.ke go.ke',
+  'com.ng edu.ng gov.ng net.ng org.ng',
+  'com.br edu.br gov.br net.br org.br',
+  'com.ar edu.ar gob.ar gov.ar net.ar org.ar',
+  'com.mx edu.mx gob.mx net.mx org.mx',
+  'com.co edu.co gov.co net.co org.co',
+  'com.pe edu.pe gob.pe net.pe org.pe',
+  'com.uy edu.uy gub.uy net.uy org.uy',
+  'com.ve edu.ve gob.ve net.ve org.ve',
+  'com.ec edu.ec gob.ec net.ec org.ec',
+  'com.ua edu.ua gov.ua net.ua org.ua',
+  'com.pl edu.pl gov.pl net.pl org.pl',
+  'com.es edu.es gob.es nom.es org.es',
+  'gouv.fr asso.fr com.fr',
+  'gov.it edu.it',
+  'com.io edu.io gov.io mil.io net.io org.io',
+  'com.ai net.ai off.ai org.ai',
+  // Wildcard and exception rules
+  '*.bd *.ck !www.ck *.sch.uk *.kawasaki.jp !city.kawasaki.jp',
+]
+  .join(' ')
+  .split(' ');
+
+// Hosting domains that give each customer a subdomain
+const PRIVATE_RULES = [
+  'appspot.com azurewebsites.net blogspot.com cloudfront.net firebaseapp.com',
+  'github.io gitlab.io herokuapp.com netlify.app pages.dev readthedocs.io',
+  'vercel.app web.app workers.dev',
+]
+  .join(' ')
+  .split(' ');
+
+const PUBLIC_SUFFIX_RULES = [...ICANN_RULES, ...PRIVATE_RULES];
+
+// Country codes whose names are all registered directly under the top level
+const SINGLE_LEVEL_COUNTRY_TLDS = ['ch', 'de', 'dk', 'eu', 'li'];
+
+// Country codes the rules above cover
+const KNOWN_COUNTRY_TLDS = new Set([
+  ...SINGLE_LEVEL_COUNTRY_TLDS,
+  ...ICANN_RULES.map((rule) => rule.slice(rule.lastIndexOf('.') + 1)),
+]);
+
+const EXACT_RULES = new Set(PUBLIC_SUFFIX_RULES.filter((rule) => !/^[*!]/.test(rule)));
+const WILDCARD_RULES = new Set(
+  PUBLIC_SUFFIX_RULES.filter((rule) => rule.startsWith('*.')).map((rule) => rule.slice(2))
+);
+const EXCEPTION_RULES = new Set(
+  PUBLIC_SUFFIX_RULES.filter((rule) => rule.startsWith('!')).map((rule) => rule.slice(1))
+);
+
+function isIpAddress(hostname) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':');
+}
+
+/**
+ * Counts the labels of a hostname's public suffix
+ * @param {string[]} labels - Hostname labels, left to right
+ * @returns {number|null} - The label count, or null when the suffix is unknown
+ */
+function publicSuffixLength(labels) {
+  for (let start = 0; start < labels.length; start += 1) {
+    const candidate = labels.slice(start).join('.');
+
+    if (EXCEPTION_RULES.has(candidate)) {
+      // An exception is itself registrable, so the suffix is one label shorter
+      return labels.length - start - 1;
+    }
+    if (EXACT_RULES.has(candidate)) {
+      return labels.length - start;
+    }
+    if (start > 0 && WILDCARD_RULES.has(candidate)) {
+      return labels.length - start + 1;
+    }
+  }
+
+  const topLevel = labels[labels.length - 1];
+  if (topLevel.length === 2 && !KNOWN_COUNTRY_TLDS.has(topLevel)) {
+    return null;
+  }
+  return 1;
+}
+
+/**
+ * Gets the registrable domain of a hostname: its public suffix plus one label,
+ * so docs.example.co.uk and www.example.co.uk both give example.co.uk
+ * @param {string} hostname - The hostname to look up
+ * @returns {string|null} - The registrable domain, the hostname itself when it
+ *   is an IP address or a public suffix, or null when its country-code suffix
+ *   is not in the bundled rules
+ */
+export function getRegistrableDomain(hostname) {
+  const host = String(hostname ?? '')
+    .toLowerCase()
+    .replace(/\.$/, '');
+
+  if (!host || isIpAddress(host)) {
+    return host;
+  }
+
+  const labels = host.split('.');
+  const suffixLength = publicSuffixLength(labels);
+  if (suffixLength === null) {
+    return null;
+  }
+  if (labels.length <= suffixLength) {
+    return host;
+  }
+
+  return labels.slice(-(suffixLength + 1)).join('.');
+}
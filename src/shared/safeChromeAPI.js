@@ -51,8 +51,8 @@ export class SafeChromeAPI {
 
   /**
    * Safe tabs API operations with permission and availability checks
-   * @param {string} operation - 'create', 'remove', 'query'
-   * @param {*} options - Options for the operation
+   * @param {string} operation - 'create', 'remove', 'update', 'query'
+   * @param {*} options - Options for the operation; 'update' takes { tabId, url }
    * @returns {Promise<*>} Result of the operation
    */
   static async tabs(operation, options) {
@@ -73,6 +73,11 @@ export class SafeChromeAPI {
             throw new Error('Tab removal permission missing');
           }
           return await chrome.tabs.remove(options);
+        case 'update':
+          if (!chrome.tabs.update) {
+            throw new Error('Tab update permission missing');
+          }
+          return await chrome.tabs.update(options.tabId, { url: options.url });
         case 'query':
           if (!chrome.tabs.query) {
             throw new Error('Tab query permission missing');
@@ -84,7 +89,7 @@ export class SafeChromeAPI {
     } catch (error) {
       // Handle specific tab errors gracefully
       if (error.message.includes('No tab with id')) {
-        console.debug(`Tab ${options} already closed or invalid`);
+        console.debug(`Tab ${options?.tabId ?? options} already closed or invalid`);
         return null; // Tab already closed, not an error
       }
 
@@ -44,22 +44,72 @@ function isSPARoute(hash) {
   return false;
 }
 
+/**
+ * Checks a query parameter name against a list where a trailing * matches any suffix
+ * @param {string} name - The parameter name
+ * @param {string[]} patterns - Names such as "fbclid" or "utm_*", compared case-insensitively
+ * @returns {boolean}
+ */
+function matchesParamList(name, patterns) {
+  const lowerName = name.toLowerCase();
+  return patterns.some((pattern) => {
+    const lowerPattern = pattern.toLowerCase();
+    return lowerPattern.endsWith('*')
+      ? lowerName.startsWith(lowerPattern.slice(0, -1))
+      : lowerName === lowerPattern;
+  });
+}
+
+/**
+ * Applies a query parameter policy to a URL object in place
+ * @param {URL} urlObj - The URL to update
+ * @param {Object} policy - See normalizeUrl
+ */
+function applyQueryPolicy(urlObj, policy) {
+  const { mode = 'strip', params = [], sort = false } = policy;
+
+  if (mode === 'strip') {
+    urlObj.search = '';
+    return;
+  }
+
+  const kept = [...urlObj.searchParams].filter(([name]) => {
+    if (mode === 'allowlist') {
+      return matchesParamList(name, params);
+    }
+    if (mode === 'denylist') {
+      return !matchesParamList(name, params);
+    }
+    return true;
+  });
+
+  if (sort) {
+    // Array sort is stable, so repeated names keep their relative order
+    kept.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+
+  urlObj.search = new URLSearchParams(kept).toString();
+}
+
 /**
  * Normalizes a URL by removing query parameters and optionally hash fragments
  * @param {string} url - The URL to normalize
  * @param {Object} options - Normalization options
  * @param {boolean} options.preserveSPARoutes - Whether to preserve SPA hash routes (default: true)
+ * @param {Object} options.queryPolicy - Which query parameters to keep (default: none)
+ * @param {string} options.queryPolicy.mode - 'strip' (default), 'keep', 'allowlist' or 'denylist'
+ * @param {string[]} options.queryPolicy.params - Parameter names for the allowlist or denylist
+ * @param {boolean} options.queryPolicy.sort - Whether to sort kept parameters by name
  * @returns {string} - The normalized URL
  */
 export function normalizeUrl(url, options = {}) {
-  const { preserveSPARoutes = true } = options;
+  const { preserveSPARoutes = true, queryPolicy = {} } = options;
 
   try {
     const urlObj = new URL(url);
     const originalHash = urlObj.hash;
 
-    // Always remove query parameters
-    urlObj.search = '';
+    applyQueryPolicy(urlObj, queryPolicy);
 
     // Handle hash fragments based on whether they're SPA routes
     if (preserveSPARoutes && isSPARoute(originalHash)) {
@@ -259,3 +309,45 @@ export function getSPANavigationDelay(url) {
   // Standard delay for regular pages
   return 500;
 }
+
+/**
+ * Compiles a crawl filter pattern into a URL test. Patterns starting with
+ * "re:" are regular expressions tested against the whole URL. Anything else
+ * is a glob where * matches any run of characters and ? matches one; globs
+ * containing "://" must match the whole URL, others the path and query.
+ * @param {string} pattern - The pattern to compile
+ * @returns {function(string): boolean} - Tests whether a URL matches
+ * @throws {SyntaxError} - If a regular expression pattern is invalid
+ */
+export function compileUrlPattern(pattern) {
+  const source = String(pattern).trim();
+
+  if (source.startsWith('re:')) {
+    const regex = new RegExp(source.slice(3));
+    return (url) => regex.test(url);
+  }
+
+  const escaped = source
+    .split('')
+    .map((char) => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  const regex = new RegExp(`^${escaped}$`);
+  const matchesWholeUrl = source.includes('://');
+
+  return (url) => {
+    try {
+      const urlObj = new URL(url);
+      return regex.test(matchesWholeUrl ? urlObj.href : `${urlObj.pathname}${urlObj.search}`);
+    } catch (e) {
+      return false;
+    }
+  };
+}
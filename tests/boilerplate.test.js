@@ -0,0 +1,68 @@
+import { BoilerplateDetector, splitBlocks } from '../src/background/boilerplate.js';
+
+const COOKIE_NOTICE = 'We use cookies to improve your experience. Accept all cookies?';
+const SIDEBAR = '- [Home](/)\n- [Docs](/docs)\n- [Blog](/blog)';
+
+function page(body) {
+  return `${SIDEBAR}\n\n## Overview\n\n${body}\n\n${COOKIE_NOTICE}`;
+}
+
+describe('splitBlocks', () => {
+  test('splits on blank lines and keeps fenced code whole', () => {
+    const text = 'Intro line\nstill intro\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\n\nOutro';
+
+    expect(splitBlocks(text)).toEqual([
+      'Intro line\nstill intro',
+      '```js\nconst a = 1;\n\nconst b = 2;\n```',
+      'Outro',
+    ]);
+  });
+});
+
+describe('BoilerplateDetector', () => {
+  test('strips blocks found on most pages and reports them', () => {
+    const detector = new BoilerplateDetector();
+    const pages = [
+      page('Alpha explains setup.'),
+      page('Beta explains usage.'),
+      page('Gamma explains upgrades.'),
+      'A page without the usual chrome.',
+    ];
+    pages.forEach((text) => detector.addPage(text));
+
+    expect(detector.strip(pages[0])).toBe('## Overview\n\nAlpha explains setup.');
+    expect(detector.strip(pages[3])).toBe(pages[3]);
+    expect(detector.getReport()).toEqual([
+      { text: SIDEBAR, pages: 3 },
+      { text: COOKIE_NOTICE, pages: 3 },
+    ]);
+  });
+
+  test('never strips headings or code, even when repeated', () => {
+    const detector = new BoilerplateDetector();
+    const text = '## Parameters\n\n```sh\nnpm install\n```';
+    [1, 2, 3].forEach(() => detector.addPage(text));
+
+    expect(detector.getReport()).toEqual([]);
+    expect(detector.strip(text)).toBe(text);
+  });
+
+  test('needs the minimum number of pages and share of pages', () => {
+    const small = new BoilerplateDetector();
+    small.addPage(page('One.'));
+    small.addPage(page('Two.'));
+    expect(small.getReport()).toEqual([]);
+
+    const sparse = new BoilerplateDetector({ minPageShare: 0.5, minPages: 3 });
+    [1, 2, 3].forEach((index) => sparse.addPage(page(`Page ${index}.`)));
+    [4, 5, 6, 7].forEach((index) => sparse.addPage(`Unrelated page ${index}.`));
+    expect(sparse.getReport()).toEqual([]);
+  });
+
+  test('keeps a page made only of repeated blocks', () => {
+    const detector = new BoilerplateDetector();
+    [1, 2, 3].forEach(() => detector.addPage(COOKIE_NOTICE));
+
+    expect(detector.strip(COOKIE_NOTICE)).toBe(COOKIE_NOTICE);
+  });
+});
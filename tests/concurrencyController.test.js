@@ -0,0 +1,94 @@
+import { ConcurrencyController } from '../src/background/concurrencyController.js';
+import { CONFIG } from '../src/shared/config.js';
+
+const { SAMPLE_SIZE, INITIAL } = CONFIG.ADAPTIVE_CONCURRENCY;
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function recordBatch(controller, sample, count = SAMPLE_SIZE) {
+  for (let index = 0; index < count; index += 1) {
+    controller.recordPage(sample);
+  }
+}
+
+describe('ConcurrencyController', () => {
+  test('starts low and waits for a full batch before adjusting', () => {
+    const controller = new ConcurrencyController({ max: 10, readMemory: () => null });
+    expect(controller.limit).toBe(INITIAL);
+
+    recordBatch(controller, { loadMs: 500 }, SAMPLE_SIZE - 1);
+    expect(controller.adjust()).toBeNull();
+  });
+
+  test('adds a tab when pages load quickly, up to the cap', () => {
+    const controller = new ConcurrencyController({ max: INITIAL + 1, readMemory: () => null });
+
+    recordBatch(controller, { loadMs: 500 });
+    expect(controller.adjust()).toEqual({
+      from: INITIAL,
+      to: INITIAL + 1,
+      reason: 'pages loaded in 500ms on average',
+    });
+
+    recordBatch(controller, { loadMs: 500 });
+    expect(controller.adjust()).toBeNull();
+    expect(controller.limit).toBe(INITIAL + 1);
+  });
+
+  test('halves the limit when too many pages time out', () => {
+    const controller = new ConcurrencyController({ max: 10, readMemory: () => null });
+    controller.limit = 8;
+
+    recordBatch(controller, { loadMs: 12000, timedOut: true }, 3);
+    recordBatch(controller, { loadMs: 1000 }, SAMPLE_SIZE - 3);
+
+    expect(controller.adjust()).toEqual({
+      from: 8,
+      to: 4,
+      reason: `3 of ${SAMPLE_SIZE} pages timed out`,
+    });
+  });
+
+  test('eases off when loads are slow or memory is nearly used up', async () => {
+    const slow = new ConcurrencyController({ max: 10, readMemory: () => null });
+    recordBatch(slow, { loadMs: 9000 });
+    expect(slow.adjust()).toEqual({
+      from: INITIAL,
+      to: INITIAL - 1,
+      reason: 'pages took 9000ms to load on average',
+    });
+
+    const crowded = new ConcurrencyController({
+      max: 10,
+      readMemory: () => Promise.resolve({ capacity: 100, availableCapacity: 5 }),
+    });
+    await settle();
+    recordBatch(crowded, { loadMs: 500 });
+    expect(crowded.adjust()).toEqual({
+      from: INITIAL,
+      to: INITIAL - 1,
+      reason: 'system memory 95% used',
+    });
+  });
+
+  test('reads system memory through chrome.system.memory by default', async () => {
+    chrome.system = {
+      memory: { getInfo: jest.fn(() => Promise.resolve({ capacity: 100, availableCapacity: 2 })) },
+    };
+    const controller = new ConcurrencyController({ max: 10 });
+    await settle();
+    delete chrome.system;
+    recordBatch(controller, { loadMs: 500 });
+
+    expect(controller.adjust()?.reason).toBe('system memory 98% used');
+  });
+
+  test('never drops below one tab', () => {
+    const controller = new ConcurrencyController({ max: 10, readMemory: () => null });
+    controller.limit = 1;
+
+    recordBatch(controller, { loadMs: 12000, timedOut: true });
+    expect(controller.adjust()).toBeNull();
+    expect(controller.limit).toBe(1);
+  });
+});
@@ -0,0 +1,48 @@
+import { computeSimHash, getSimilarity } from '../src/background/contentFingerprint.js';
+
+const ARTICLE = Array.from(
+  { length: 40 },
+  (_, index) => `Section ${index} explains how the crawler queues pages and writes markdown.`
+).join(' ');
+
+describe('computeSimHash', () => {
+  test('returns 16 hex digits for a page with enough words', () => {
+    expect(computeSimHash(ARTICLE)).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('skips pages too short to compare', () => {
+    expect(computeSimHash('Just a few words here')).toBeNull();
+    expect(computeSimHash('')).toBeNull();
+    expect(computeSimHash(undefined)).toBeNull();
+  });
+
+  test('ignores case and punctuation', () => {
+    expect(computeSimHash(ARTICLE.toUpperCase().replace(/\./g, '!'))).toBe(
+      computeSimHash(ARTICLE)
+    );
+  });
+});
+
+describe('getSimilarity', () => {
+  test('rates identical hashes as 1', () => {
+    const hash = computeSimHash(ARTICLE);
+    expect(getSimilarity(hash, hash)).toBe(1);
+  });
+
+  test('rates a lightly edited page above an unrelated one', () => {
+    const edited = `${ARTICLE.replace('Section 12', 'Part twelve')} Page 2 of 3.`;
+    const unrelated = Array.from(
+      { length: 40 },
+      (_, index) => `Recipe ${index} needs flour, butter, sugar and two eggs for baking.`
+    ).join(' ');
+
+    const original = computeSimHash(ARTICLE);
+    expect(getSimilarity(original, computeSimHash(edited))).toBeGreaterThanOrEqual(0.9);
+    expect(getSimilarity(original, computeSimHash(unrelated))).toBeLessThan(0.8);
+  });
+
+  test('counts differing bits across both halves', () => {
+    expect(getSimilarity('0000000000000000', 'ffffffffffffffff')).toBe(0);
+    expect(getSimilarity('0000000000000000', '0000000100000001')).toBe(1 - 2 / 64);
+  });
+});
@@ -0,0 +1,81 @@
+import { CrawlFrontier } from '../src/background/crawlFrontier.js';
+
+function drain(frontier) {
+  const urls = [];
+  while (frontier.length > 0) {
+    urls.push(frontier.pop());
+  }
+  return urls;
+}
+
+describe('CrawlFrontier', () => {
+  test('hands out shallow pages first in breadth-first order', () => {
+    const frontier = new CrawlFrontier({ order: 'bfs' });
+    frontier.push('https://example.com/a/b', { depth: 2 });
+    frontier.push('https://example.com/a', { depth: 1 });
+    frontier.push('https://example.com/c', { depth: 1 });
+
+    expect(drain(frontier)).toEqual([
+      'https://example.com/a',
+      'https://example.com/c',
+      'https://example.com/a/b',
+    ]);
+    expect(frontier.pop()).toBeNull();
+  });
+
+  test('hands out the newest page first in depth-first order', () => {
+    const frontier = new CrawlFrontier({ order: 'dfs' });
+    frontier.push('https://example.com/a', { depth: 1 });
+    frontier.push('https://example.com/b', { depth: 1 });
+    frontier.push('https://example.com/b/c', { depth: 2 });
+
+    expect(drain(frontier)).toEqual([
+      'https://example.com/b/c',
+      'https://example.com/b',
+      'https://example.com/a',
+    ]);
+  });
+
+  test('scores pages by depth, seed path and keywords in best-first order', () => {
+    const frontier = new CrawlFrontier({
+      order: 'best-first',
+      seedUrl: 'https://example.com/docs/',
+      keywords: ['API'],
+    });
+    frontier.push('https://example.com/about', { depth: 1, anchorText: 'About us' });
+    frontier.push('https://example.com/docs/intro', { depth: 1, anchorText: 'Introduction' });
+    frontier.push('https://example.com/docs/a/b', { depth: 3, anchorText: 'API reference' });
+    frontier.push('https://example.com/blog/api-news', { depth: 2, anchorText: 'News' });
+
+    expect(drain(frontier)).toEqual([
+      'https://example.com/docs/a/b',
+      'https://example.com/blog/api-news',
+      'https://example.com/docs/intro',
+      'https://example.com/about',
+    ]);
+  });
+
+  test('drops the entry handed out last when full', () => {
+    const frontier = new CrawlFrontier({ order: 'bfs', capacity: 2 });
+    expect(frontier.push('https://example.com/a', { depth: 2 })).toBeNull();
+    expect(frontier.push('https://example.com/b', { depth: 2 })).toBeNull();
+    expect(frontier.push('https://example.com/c', { depth: 1 })).toBe('https://example.com/b');
+    expect(frontier.push('https://example.com/d', { depth: 3 })).toBe('https://example.com/d');
+
+    expect(drain(frontier)).toEqual(['https://example.com/c', 'https://example.com/a']);
+  });
+
+  test('keeps saved order and scores when loaded', () => {
+    for (const order of ['bfs', 'dfs', 'best-first']) {
+      const frontier = new CrawlFrontier({ order, keywords: ['guide'] });
+      frontier.push('https://example.com/a', { depth: 1 });
+      frontier.push('https://example.com/guide', { depth: 2, anchorText: 'Guide' });
+      frontier.push('https://example.com/b', { depth: 1 });
+
+      const restored = new CrawlFrontier({ order, keywords: ['guide'] });
+      restored.load(frontier.toJSON().map(({ url, depth, score }) => ({ url, depth, score })));
+
+      expect(restored.toArray()).toEqual(frontier.toArray());
+    }
+  });
+});
@@ -0,0 +1,84 @@
+import { CrawlScope } from '../src/background/crawlScope.js';
+
+describe('CrawlScope', () => {
+  test('allows the whole host by default', () => {
+    const scope = new CrawlScope('https://example.com/docs/v2/');
+    expect(scope.allows('https://example.com/pricing')).toBe(true);
+    expect(scope.allows('https://other.com/docs/v2/')).toBe(false);
+    expect(scope.allows('not a url')).toBe(false);
+  });
+
+  test('limits the starting-path scope to the starting directory', () => {
+    const scope = new CrawlScope('https://example.com/docs/v2/intro', { pathScope: 'start-path' });
+    expect(scope.pathPrefix).toBe('/docs/v2/');
+    expect(scope.allows('https://example.com/docs/v2/api/users')).toBe(true);
+    expect(scope.allows('https://example.com/docs/v2')).toBe(true);
+    expect(scope.allows('https://example.com/docs/v1/intro')).toBe(false);
+    expect(scope.allows('https://example.com/blog')).toBe(false);
+  });
+
+  test('uses a custom prefix as a whole path segment', () => {
+    const scope = new CrawlScope('https://example.com/', {
+      pathScope: 'custom',
+      scopePrefix: 'docs/v2',
+    });
+    expect(scope.pathPrefix).toBe('/docs/v2/');
+    expect(scope.allows('https://example.com/docs/v2/start')).toBe(true);
+    expect(scope.allows('https://example.com/docs/v20/start')).toBe(false);
+  });
+
+  test('accepts a full URL as the custom prefix', () => {
+    const scope = new CrawlScope('https://example.com/', {
+      pathScope: 'custom',
+      scopePrefix: 'https://example.com/guide/',
+    });
+    expect(scope.pathPrefix).toBe('/guide/');
+  });
+
+  test('falls back to the whole host when the custom prefix is empty', () => {
+    const scope = new CrawlScope('https://example.com/a/', { pathScope: 'custom', scopePrefix: ' ' });
+    expect(scope.allows('https://example.com/b')).toBe(true);
+  });
+
+  test('allows sibling subdomains in the registrable-domain scope', () => {
+    const scope = new CrawlScope('https://docs.example.co.uk/', { hostScope: 'domain' });
+    expect(scope.registrableDomain).toBe('example.co.uk');
+    expect(scope.allows('https://example.co.uk/')).toBe(true);
+    expect(scope.allows('https://api.example.co.uk/ref')).toBe(true);
+    expect(scope.allows('https://other.co.uk/')).toBe(false);
+  });
+
+  test('keeps the domain scope to the starting host when the suffix is unknown', () => {
+    const scope = new CrawlScope('https://www.example.co.tz/', { hostScope: 'domain' });
+    expect(scope.registrableDomain).toBeNull();
+    expect(scope.allows('https://www.example.co.tz/about')).toBe(true);
+    expect(scope.allows('https://docs.example.co.tz/')).toBe(false);
+    expect(scope.allows('https://other.co.tz/')).toBe(false);
+  });
+
+  test('keeps the same-host scope strict', () => {
+    const scope = new CrawlScope('https://example.com/');
+    expect(scope.allows('https://www.example.com/')).toBe(false);
+  });
+
+  test('allows extra hosts from the allowlist', () => {
+    const scope = new CrawlScope('https://example.com/', {
+      allowedHosts: ['API.example.org', '*.example.net', 'https://cdn.example.com/docs'],
+    });
+    expect(scope.allows('https://api.example.org/x')).toBe(true);
+    expect(scope.allows('https://www.example.org/x')).toBe(false);
+    expect(scope.allows('https://example.net/')).toBe(true);
+    expect(scope.allows('https://a.b.example.net/')).toBe(true);
+    expect(scope.allows('https://badexample.net/')).toBe(false);
+    expect(scope.allows('https://cdn.example.com/')).toBe(true);
+  });
+
+  test('applies the path prefix on every allowed host', () => {
+    const scope = new CrawlScope('https://example.com/docs/', {
+      hostScope: 'domain',
+      pathScope: 'start-path',
+    });
+    expect(scope.allows('https://www.example.com/docs/a')).toBe(true);
+    expect(scope.allows('https://www.example.com/pricing')).toBe(false);
+  });
+});
@@ -115,4 +115,150 @@ describe('Markdown Builder', () => {
     expect(stats.totalCharacters).toBe(47); // 13 + 34
     expect(stats.avgContentLength).toBe(24); // 47 / 2 rounded
   });
-});
\ No newline at end of file
+
+  test('writes page metadata as YAML front matter', () => {
+    const builder = new MarkdownBuilder();
+    builder.addPage('https://example.com/post', 'Post "One"', 'Body', {
+      author: 'Jane Doe',
+      publishedTime: '2024-05-01T10:00:00Z',
+      language: 'en',
+      description: 'Summary',
+      excerpt: 'Summary',
+      fetchedAt: '2024-06-01T00:00:00.000Z',
+    });
+
+    const result = builder.build();
+
+    expect(result).toContain(
+      [
+        '---',
+        'title: "Post \\"One\\""',
+        'url: "https://example.com/post"',
+        'author: "Jane Doe"',
+        'published: "2024-05-01T10:00:00Z"',
+        'language: "en"',
+        'description: "Summary"',
+        'fetched_at: "2024-06-01T00:00:00.000Z"',
+        '---',
+        '',
+        '# Post "One"',
+      ].join('\n')
+    );
+    expect(result).not.toContain('excerpt:');
+  });
+
+  test('writes page metadata as a table when requested', () => {
+    const builder = new MarkdownBuilder({ metadataFormat: 'table' });
+    builder.addPage('https://example.com', 'Home', 'Body', { author: 'A | B', siteName: '' });
+
+    const result = builder.build();
+
+    expect(result).toContain('**URL:** https://example.com\n\n| Field | Value |\n| --- | --- |\n| Author | A \\| B |\n\nBody');
+    expect(result).not.toContain('| Site |');
+  });
+
+  test('omits metadata when disabled or missing', () => {
+    const builder = new MarkdownBuilder({ metadataFormat: 'none' });
+    builder.addPage('https://example.com/a', 'A', 'Body', { author: 'Jane' });
+    builder.addPage('https://example.com/b', 'B', 'Body');
+
+    const result = builder.build();
+
+    expect(result).not.toContain('Jane');
+    expect(result).not.toContain('title:');
+  });
+
+  test('marks partial crawls at the top of the document', () => {
+    const builder = new MarkdownBuilder({ partial: true });
+    builder.addPage('https://example.com', 'Home', 'Body');
+
+    const result = builder.build();
+
+    expect(result.startsWith('> **Partial crawl:**')).toBe(true);
+    expect(result).toContain('It contains 1 captured page;');
+    expect(result).toContain('# Table of Contents');
+  });
+
+  test('streams sections with content loaded per page', async () => {
+    const builder = new MarkdownBuilder({ metadataFormat: 'none' });
+    builder.addFromContentMap(
+      new Map([
+        ['https://example.com/a', { title: 'A' }],
+        ['https://example.com/b', { title: 'B' }],
+      ])
+    );
+    const loadContent = jest.fn((url) => Promise.resolve(`Body of ${url}`));
+
+    const parts = [];
+    for await (const part of builder.buildStream(loadContent)) {
+      parts.push(part);
+    }
+
+    expect(parts).toHaveLength(3);
+    expect(parts[0]).toContain('# Table of Contents');
+    expect(parts[2]).toContain('Body of https://example.com/b');
+    expect(loadContent).toHaveBeenCalledTimes(2);
+  });
+
+  test('appends a failed pages report', () => {
+    const builder = new MarkdownBuilder();
+    builder.addPage('https://example.com', 'Home', 'Body');
+    builder.addFailures(
+      new Map([['https://example.com/slow', { category: 'timeout', message: 'a | b', attempts: 4 }]])
+    );
+
+    const result = builder.build();
+
+    expect(result).toContain(
+      '# Failed Pages\n\n| URL | Reason | Attempts |\n| --- | --- | --- |\n' +
+        '| https://example.com/slow | timeout: a \\| b | 4 |'
+    );
+  });
+
+  test('shows link depth in the table of contents', () => {
+    const builder = new MarkdownBuilder();
+    const contentMap = new Map([
+      ['https://example.com/', { title: 'Home', textContent: 'Start' }],
+      ['https://example.com/docs', { title: 'Docs', textContent: 'Guide' }],
+    ]);
+
+    builder.addFromContentMap(contentMap, { depths: new Map([['https://example.com/docs', 1]]) });
+    const result = builder.build();
+
+    expect(result).toContain('1. [Home](https://example.com/)\n');
+    expect(result).toContain('2. [Docs](https://example.com/docs) (depth 1)\n');
+  });
+
+  test('lists the other URLs that led to a page', () => {
+    const builder = new MarkdownBuilder({ metadataFormat: 'none' });
+    builder.addFromContentMap(new Map([['https://example.com/guide', { title: 'Guide', textContent: 'Body' }]]), {
+      aliases: new Map([['https://example.com/guide', ['https://example.com/old-guide', 'https://example.com/g']]]),
+    });
+
+    expect(builder.build()).toContain(
+      '**URL:** https://example.com/guide\n' +
+        '**Also reached from:** https://example.com/old-guide, https://example.com/g\n\nBody'
+    );
+  });
+
+  test('lists near-duplicate pages collapsed into a page', () => {
+    const builder = new MarkdownBuilder({ metadataFormat: 'none' });
+    builder.addFromContentMap(new Map([['https://example.com/tag/a', { title: 'A', textContent: 'Body' }]]), {
+      nearDuplicates: new Map([['https://example.com/tag/a', ['https://example.com/tag/a/print']]]),
+    });
+
+    expect(builder.build()).toContain(
+      '**Near-duplicates collapsed here:** https://example.com/tag/a/print\n\nBody'
+    );
+  });
+
+  test('appends a report of removed boilerplate', () => {
+    const builder = new MarkdownBuilder({ metadataFormat: 'none' });
+    builder.addPage('https://example.com/', 'Home', 'Body');
+    builder.addBoilerplateReport([{ text: 'Accept | reject\ncookies', pages: 12 }]);
+
+    expect(builder.build()).toContain(
+      '# Removed Boilerplate\n\n| Repeated text | Pages |\n| --- | --- |\n| Accept \\| reject cookies | 12 |\n'
+    );
+  });
+});
@@ -0,0 +1,201 @@
+import '../src/content/markdownConverter.js';
+
+const { MarkdownConverter } = globalThis;
+
+const convert = (html, options = {}) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return new MarkdownConverter({ baseUrl: 'https://example.com/docs/', ...options }).convert(doc);
+};
+
+describe('MarkdownConverter', () => {
+  test('converts headings and paragraphs', () => {
+    const result = convert('<h1>Title</h1><p>First   paragraph.</p><h2>Section</h2><p>Second.</p>');
+    expect(result).toBe('# Title\n\nFirst paragraph.\n\n## Section\n\nSecond.');
+  });
+
+  test('offsets heading levels and caps them at six', () => {
+    const result = convert('<h1>Top</h1><h6>Deep</h6>', { headingOffset: 1 });
+    expect(result).toBe('## Top\n\n###### Deep');
+  });
+
+  test('converts inline emphasis and links', () => {
+    const result = convert(
+      '<p>Some <strong>bold</strong>, <em>italic </em>text and a <a href="/guide"> guide</a>.</p>'
+    );
+    expect(result).toBe('Some **bold**, *italic* text and a [guide](https://example.com/guide).');
+  });
+
+  test('drops javascript links but keeps their text', () => {
+    expect(convert('<p><a href="javascript:void(0)">Click</a></p>')).toBe('Click');
+  });
+
+  test('converts unordered and ordered lists with nesting', () => {
+    const result = convert(
+      '<ul><li>One</li><li>Two<ol start="3"><li>Three</li><li>Four</li></ol></li></ul>'
+    );
+    expect(result).toBe('- One\n- Two\n  3. Three\n  4. Four');
+  });
+
+  test('converts blockquotes', () => {
+    const result = convert('<blockquote><p>Quoted</p><p>Text</p></blockquote>');
+    expect(result).toBe('> Quoted\n>\n> Text');
+  });
+
+  test('keeps preformatted text intact', () => {
+    const result = convert('<pre>line one\n    indented</pre>');
+    expect(result).toBe('```\nline one\n    indented\n```');
+  });
+
+  test('escapes markdown characters in text but not inside words', () => {
+    expect(convert('<p>Use *stars* and snake_case or _this_</p>')).toBe(
+      'Use \\*stars\\* and snake_case or \\_this\\_'
+    );
+  });
+
+  test('skips scripts and styles', () => {
+    expect(convert('<p>Visible</p><script>alert(1)</script><style>p{}</style>')).toBe('Visible');
+  });
+
+  test('renders images with absolute sources', () => {
+    expect(convert('<p><img src="img/a.png" alt="Diagram"></p>')).toBe(
+      '![Diagram](https://example.com/docs/img/a.png)'
+    );
+  });
+
+  test('treats line breaks as new lines', () => {
+    expect(convert('<p>Line one<br>Line two</p>')).toBe('Line one\nLine two');
+  });
+});
+
+describe('MarkdownConverter code blocks', () => {
+  test('fences code blocks with a language from language-* classes', () => {
+    const result = convert(
+      '<pre><code class="language-js">function add(a, b) {\n  return a + b;\n}</code></pre>'
+    );
+    expect(result).toBe('```js\nfunction add(a, b) {\n  return a + b;\n}\n```');
+  });
+
+  test('detects languages from hljs classes and data attributes', () => {
+    expect(convert('<pre><code class="hljs python">print(1)</code></pre>')).toBe(
+      '```python\nprint(1)\n```'
+    );
+    expect(convert('<pre data-lang="Bash">ls -la</pre>')).toBe('```bash\nls -la\n```');
+    expect(convert('<div class="highlight-ruby"><div class="highlight"><pre>puts 1</pre></div></div>')).toBe(
+      '```ruby\nputs 1\n```'
+    );
+  });
+
+  test('ignores plain-text language markers', () => {
+    expect(convert('<pre><code class="language-none">raw</code></pre>')).toBe('```\nraw\n```');
+  });
+
+  test('does not escape markdown inside code and strips line-number gutters', () => {
+    const result = convert(
+      '<pre class="line-numbers"><code>a_b * c<span class="line-numbers-rows"><span></span></span></code></pre>'
+    );
+    expect(result).toBe('```\na_b * c\n```');
+  });
+
+  test('lengthens the fence when the code contains backticks', () => {
+    expect(convert('<pre>```\nnested\n```</pre>')).toBe('````\n```\nnested\n```\n````');
+  });
+
+  test('keeps line breaks written as br tags', () => {
+    expect(convert('<pre>one<br>two</pre>')).toBe('```\none\ntwo\n```');
+  });
+
+  test('renders inline code as backtick spans', () => {
+    expect(convert('<p>Call <code>run_task()</code> or press <kbd>Ctrl</kbd>.</p>')).toBe(
+      'Call `run_task()` or press `Ctrl`.'
+    );
+    expect(convert('<p>Use <code>a`b</code></p>')).toBe('Use ``a`b``');
+  });
+});
+
+describe('MarkdownConverter tables', () => {
+  test('converts tables with a header row into pipe tables', () => {
+    const result = convert(
+      '<table><thead><tr><th>Name</th><th>Type</th></tr></thead>' +
+        '<tbody><tr><td><code>id</code></td><td>string</td></tr>' +
+        '<tr><td>count</td><td>number</td></tr></tbody></table>'
+    );
+    expect(result).toBe(
+      '| Name | Type |\n| --- | --- |\n| `id` | string |\n| count | number |'
+    );
+  });
+
+  test('adds an empty header row when no header is marked', () => {
+    const result = convert('<table><tr><td>a</td><td>b</td></tr><tr><td>1</td><td>2</td></tr></table>');
+    expect(result).toBe('|  |  |\n| --- | --- |\n| a | b |\n| 1 | 2 |');
+  });
+
+  test('keeps a first row with data cells out of the header', () => {
+    const result = convert(
+      '<table><tr><th>Name</th><td>Ada</td></tr><tr><th>Born</th><td>1815</td></tr></table>'
+    );
+    expect(result).toBe('|  |  |\n| --- | --- |\n| Name | Ada |\n| Born | 1815 |');
+  });
+
+  test('escapes pipes and keeps cell line breaks', () => {
+    const result = convert(
+      '<table><tr><th>Flag</th><th>Notes</th></tr><tr><td>a|b</td><td>one<br>two</td></tr></table>'
+    );
+    expect(result).toBe('| Flag | Notes |\n| --- | --- |\n| a\\|b | one<br>two |');
+  });
+
+  test('flattens colspan and rowspan', () => {
+    const result = convert(
+      '<table><tr><th>A</th><th>B</th><th>C</th></tr>' +
+        '<tr><td rowspan="2">x</td><td colspan="2">wide</td></tr>' +
+        '<tr><td>y</td><td>z</td></tr></table>'
+    );
+    expect(result).toBe(
+      '| A | B | C |\n| --- | --- | --- |\n| x | wide |  |\n| x | y | z |'
+    );
+  });
+
+  test('renders captions before the table', () => {
+    const result = convert(
+      '<table><caption>Limits</caption><tr><th>Key</th><th>Value</th></tr></table>'
+    );
+    expect(result).toBe('Limits\n\n| Key | Value |\n| --- | --- |');
+  });
+
+  test('unwraps single-column layout tables', () => {
+    expect(convert('<table><tr><td><p>Just text</p></td></tr></table>')).toBe('Just text');
+    expect(
+      convert('<table role="presentation"><tr><th>Menu</th></tr><tr><td>Home</td></tr></table>')
+    ).toBe('Menu\n\nHome');
+  });
+
+  test('keeps single-column data tables', () => {
+    const result = convert(
+      '<table><thead><tr><th>Browser</th></tr></thead><tr><td>Chrome</td></tr>' +
+        '<tr><td>Edge</td></tr></table>'
+    );
+    expect(result).toBe('| Browser |\n| --- |\n| Chrome |\n| Edge |');
+  });
+
+  test('falls back to HTML for irregular tables', () => {
+    const result = convert(
+      '<table class="x"><tr><th>Example</th></tr><tr><td><pre>code</pre></td></tr>' +
+        '<tr><td><a href="/a" onclick="x()">link</a></td></tr></table>'
+    );
+    expect(result).toBe(
+      '<table><tbody><tr><th>Example</th></tr><tr><td><pre>code</pre></td></tr>' +
+        '<tr><td><a href="https://example.com/a">link</a></td></tr></tbody></table>'
+    );
+  });
+
+  test('keeps blank lines inside code in the HTML fallback', () => {
+    const result = convert(
+      '<table><tr><th>Example</th></tr><tr><td><pre>one\n\n  two\n</pre></td></tr>' +
+        '<tr><td>\n\n<code>a\n\nb</code></td></tr></table>'
+    );
+    expect(result).not.toMatch(/\n[ \t]*\n/);
+
+    const parsed = new DOMParser().parseFromString(result, 'text/html');
+    expect(parsed.querySelector('pre').textContent).toBe('one\n\n  two\n');
+    expect(parsed.querySelector('code').textContent).toBe('a\n\nb');
+  });
+});
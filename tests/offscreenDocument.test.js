@@ -0,0 +1,83 @@
+import { OffscreenDocument } from '../src/background/offscreenDocument.js';
+import { CONFIG } from '../src/shared/config.js';
+
+async function* toParts(parts) {
+  yield* parts;
+}
+
+describe('OffscreenDocument', () => {
+  beforeEach(() => {
+    chrome.runtime.getURL = jest.fn((path) => `chrome-extension://id/${path}`);
+    chrome.runtime.getContexts = jest.fn().mockResolvedValue([]);
+    chrome.offscreen.createDocument.mockClear().mockResolvedValue(undefined);
+  });
+
+  test('opens one document for concurrent requests', async () => {
+    const offscreen = new OffscreenDocument();
+
+    await Promise.all([offscreen.ensureOpen(), offscreen.ensureOpen()]);
+
+    expect(chrome.offscreen.createDocument).toHaveBeenCalledTimes(1);
+    expect(chrome.offscreen.createDocument).toHaveBeenCalledWith(
+      expect.objectContaining({
+        url: 'src/offscreen/offscreen.html',
+        reasons: ['DOM_PARSER', 'BLOBS'],
+      })
+    );
+  });
+
+  test('reuses a document left open by an earlier worker', async () => {
+    chrome.runtime.getContexts.mockResolvedValue([{ contextType: 'OFFSCREEN_DOCUMENT' }]);
+
+    await new OffscreenDocument().ensureOpen();
+
+    expect(chrome.offscreen.createDocument).not.toHaveBeenCalled();
+  });
+
+  test('rejects requests the document could not handle', async () => {
+    const offscreen = new OffscreenDocument();
+    chrome.runtime.sendMessage.mockImplementationOnce((message, callback) =>
+      callback({ success: false, error: 'Unknown export: 7' })
+    );
+
+    await expect(offscreen.send('appendExport', { exportId: 7 })).rejects.toThrow(
+      'Unknown export: 7'
+    );
+  });
+
+  describe('createBlobUrl', () => {
+    test('sends the export in batches and returns the Blob URL', async () => {
+      const offscreen = new OffscreenDocument();
+      const send = jest
+        .spyOn(offscreen, 'send')
+        .mockImplementation((action) =>
+          Promise.resolve(action === 'finishExport' ? { url: 'blob:export' } : {})
+        );
+      const big = 'x'.repeat(CONFIG.OFFSCREEN.EXPORT_BATCH_CHARS);
+
+      const url = await offscreen.createBlobUrl('run-1', toParts(['# Title\n', big, 'tail']));
+
+      expect(url).toBe('blob:export');
+      expect(send.mock.calls.map(([action, payload]) => [action, payload.text])).toEqual([
+        ['startExport', undefined],
+        ['appendExport', `# Title\n${big}`],
+        ['appendExport', 'tail'],
+        ['finishExport', undefined],
+      ]);
+    });
+
+    test('discards a partly written export when building it fails', async () => {
+      const offscreen = new OffscreenDocument();
+      const send = jest.spyOn(offscreen, 'send').mockResolvedValue({});
+      async function* failing() {
+        yield 'start';
+        throw new Error('page store closed');
+      }
+
+      await expect(offscreen.createBlobUrl('run-1', failing())).rejects.toThrow(
+        'page store closed'
+      );
+      expect(send).toHaveBeenLastCalledWith('discardExport', { exportId: 'run-1' });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import '../src/content/markdownConverter.js';
+import '../src/content/pageExtractor.js';
+import { parsePage } from '../src/offscreen/offscreen.js';
+
+const { PageExtractor } = globalThis;
+
+const parse = (html) => new DOMParser().parseFromString(html, 'text/html');
+const longText = 'Plenty of server-rendered text. '.repeat(10);
+
+describe('PageExtractor', () => {
+  let readability;
+
+  beforeEach(() => {
+    // Exercise the extractor's own fallbacks rather than the Readability mock
+    readability = globalThis.Readability;
+    delete globalThis.Readability;
+  });
+
+  afterEach(() => {
+    globalThis.Readability = readability;
+  });
+
+  test('converts the main content element and reads metadata', () => {
+    const doc = parse(
+      `<html lang="en"><head><title>Guide</title>
+        <meta name="description" content=" A guide "></head>
+        <body><nav>Menu</nav><article><h1>Guide</h1><p>${longText}</p></article></body></html>`
+    );
+
+    const page = PageExtractor.extract(doc, 'https://example.com/guide');
+
+    expect(page.title).toBe('Guide');
+    expect(page.content).toMatch(/^## Guide\n\nPlenty of server-rendered text\./);
+    expect(page.content).not.toContain('Menu');
+    expect(page.metadata).toEqual({ description: 'A guide', canonicalUrl: null, language: 'en' });
+  });
+
+  test('collects links with their text', () => {
+    const doc = parse(
+      '<body><p>Intro</p><a href="https://example.com/next">  Next\n page </a>' +
+        '<a href="https://example.com/icon" aria-label="Home"></a></body>'
+    );
+
+    const page = PageExtractor.extract(doc, 'https://example.com/');
+
+    expect(page.links).toEqual([
+      { url: 'https://example.com/next', text: 'Next page' },
+      { url: 'https://example.com/icon', text: 'Home' },
+    ]);
+  });
+
+  test('flags static HTML with too little text', () => {
+    const doc = parse('<body><p>Loading…</p></body>');
+    expect(PageExtractor.looksClientRendered(doc, 'Loading…', 200)).toBe(
+      'too little text in the static HTML'
+    );
+  });
+
+  test('flags an empty app container', () => {
+    const doc = parse(`<body><div id="__next"></div><noscript>${longText}</noscript></body>`);
+    expect(PageExtractor.looksClientRendered(doc, longText, 200)).toBe(
+      'the app container is empty until scripts run'
+    );
+  });
+
+  test('accepts server-rendered pages', () => {
+    const doc = parse(`<body><div id="root"><p>${longText}</p></div></body>`);
+    expect(PageExtractor.looksClientRendered(doc, longText, 200)).toBeNull();
+  });
+});
+
+describe('parsePage', () => {
+  test('resolves relative links against the page URL', () => {
+    const page = parsePage(
+      `<body><main><p>${longText}</p><a href="../intro">Intro</a></main></body>`,
+      'https://example.com/docs/v2/setup',
+      200
+    );
+
+    expect(page.links).toEqual([{ url: 'https://example.com/docs/intro', text: 'Intro' }]);
+    expect(page.clientRendered).toBeNull();
+  });
+
+  test('honours a base element in the page', () => {
+    const page = parsePage(
+      '<head><base href="/static/"></head><body><a href="page">Page</a></body>',
+      'https://example.com/docs/',
+      200
+    );
+
+    expect(page.links[0].url).toBe('https://example.com/static/page');
+    expect(page.clientRendered).toBe('too little text in the static HTML');
+  });
+});
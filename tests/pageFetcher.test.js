@@ -0,0 +1,107 @@
+import { PageFetcher } from '../src/background/pageFetcher.js';
+
+const respond = (body, { status = 200, contentType = 'text/html; charset=utf-8', url } = {}) => ({
+  status,
+  url,
+  headers: { get: (name) => (name.toLowerCase() === 'content-type' ? contentType : null) },
+  text: () => Promise.resolve(body),
+});
+
+describe('PageFetcher', () => {
+  test('returns the page parsed offscreen, at the URL it redirected to', async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValue(respond('<html></html>', { url: 'https://example.com/docs/' }));
+    const pageFetcher = new PageFetcher({ fetcher });
+    jest.spyOn(pageFetcher, 'parseOffscreen').mockResolvedValue({
+      title: 'Docs',
+      content: 'Docs content',
+      links: [],
+      metadata: {},
+      clientRendered: null,
+    });
+
+    const { page, fallbackReason } = await pageFetcher.fetchPage('https://example.com/docs');
+
+    expect(fallbackReason).toBeNull();
+    expect(page).toEqual({
+      url: 'https://example.com/docs/',
+      status: 200,
+      title: 'Docs',
+      content: 'Docs content',
+      links: [],
+      metadata: {},
+    });
+    expect(fetcher).toHaveBeenCalledWith(
+      'https://example.com/docs',
+      expect.objectContaining({ credentials: 'include' })
+    );
+  });
+
+  test('falls back when the static HTML looks client-rendered', async () => {
+    const pageFetcher = new PageFetcher({
+      fetcher: jest.fn().mockResolvedValue(respond('<div id="root"></div>')),
+    });
+    jest.spyOn(pageFetcher, 'parseOffscreen').mockResolvedValue({
+      content: '',
+      clientRendered: 'too little text in the static HTML',
+    });
+
+    const result = await pageFetcher.fetchPage('https://example.com/app');
+
+    expect(result).toEqual({ page: null, fallbackReason: 'too little text in the static HTML' });
+  });
+
+  test('falls back for responses that are not HTML', async () => {
+    const pageFetcher = new PageFetcher({
+      fetcher: jest.fn().mockResolvedValue(respond('{}', { contentType: 'application/json' })),
+    });
+    const parse = jest.spyOn(pageFetcher, 'parseOffscreen');
+
+    const result = await pageFetcher.fetchPage('https://example.com/data');
+
+    expect(result).toEqual({ page: null, fallbackReason: 'the response is application/json' });
+    expect(parse).not.toHaveBeenCalled();
+  });
+
+  test('falls back when the download fails', async () => {
+    const pageFetcher = new PageFetcher({
+      fetcher: jest.fn().mockRejectedValue(new Error('Failed to fetch')),
+    });
+
+    const result = await pageFetcher.fetchPage('https://example.com/');
+
+    expect(result).toEqual({
+      page: null,
+      fallbackReason: 'the download failed (Failed to fetch)',
+    });
+  });
+
+  test('returns throttling statuses without parsing', async () => {
+    const pageFetcher = new PageFetcher({
+      fetcher: jest.fn().mockResolvedValue(respond('Slow down', { status: 429 })),
+    });
+    const parse = jest.spyOn(pageFetcher, 'parseOffscreen');
+
+    const { page } = await pageFetcher.fetchPage('https://example.com/');
+
+    expect(page).toEqual({ url: 'https://example.com/', status: 429 });
+    expect(parse).not.toHaveBeenCalled();
+  });
+
+  test('asks the offscreen document to parse the HTML', async () => {
+    const offscreen = {
+      send: jest.fn().mockResolvedValue({ success: true, page: { title: 'A' } }),
+    };
+    const pageFetcher = new PageFetcher({ offscreen });
+
+    const page = await pageFetcher.parseOffscreen('<html></html>', 'https://example.com/');
+
+    expect(page).toEqual({ title: 'A' });
+    expect(offscreen.send).toHaveBeenCalledWith('parsePage', {
+      html: '<html></html>',
+      url: 'https://example.com/',
+      minTextLength: 200,
+    });
+  });
+});
@@ -0,0 +1,38 @@
+import { getRegistrableDomain } from '../src/shared/publicSuffix.js';
+
+describe('getRegistrableDomain', () => {
+  test('keeps one label below a top-level domain', () => {
+    expect(getRegistrableDomain('docs.example.com')).toBe('example.com');
+    expect(getRegistrableDomain('example.com')).toBe('example.com');
+  });
+
+  test('handles multi-label country suffixes', () => {
+    expect(getRegistrableDomain('www.example.co.uk')).toBe('example.co.uk');
+    expect(getRegistrableDomain('shop.example.com.au')).toBe('example.com.au');
+  });
+
+  test('treats hosting platform subdomains as separate sites', () => {
+    expect(getRegistrableDomain('docs.alice.github.io')).toBe('alice.github.io');
+  });
+
+  test('applies wildcard and exception rules', () => {
+    expect(getRegistrableDomain('a.b.kawasaki.jp')).toBe('a.b.kawasaki.jp');
+    expect(getRegistrableDomain('www.city.kawasaki.jp')).toBe('city.kawasaki.jp');
+  });
+
+  test('gives no domain for a country-code suffix missing from the bundled rules', () => {
+    expect(getRegistrableDomain('www.example.co.tz')).toBeNull();
+    expect(getRegistrableDomain('example.co.tz')).toBeNull();
+    expect(getRegistrableDomain('docs.example.de')).toBe('example.de');
+    expect(getRegistrableDomain('docs.example.io')).toBe('example.io');
+  });
+
+  test('returns public suffixes and IP addresses unchanged', () => {
+    expect(getRegistrableDomain('co.uk')).toBe('co.uk');
+    expect(getRegistrableDomain('93.184.216.34')).toBe('93.184.216.34');
+  });
+
+  test('ignores case and a trailing dot', () => {
+    expect(getRegistrableDomain('Docs.Example.COM.')).toBe('example.com');
+  });
+});
@@ -0,0 +1,73 @@
+import { HostRateLimiter } from '../src/background/rateLimiter.js';
+import { CONFIG } from '../src/shared/config.js';
+
+describe('HostRateLimiter', () => {
+  let now;
+  let limiter;
+
+  beforeEach(() => {
+    now = 0;
+    limiter = new HostRateLimiter(() => now);
+  });
+
+  test('allows a burst, then spaces requests at the target rate', () => {
+    const waits = [1, 2, 3, 4].map(() => limiter.reserve('https://example.com/a', 2));
+
+    expect(waits).toEqual([0, 0, 500, 1000]);
+  });
+
+  test('keeps a separate bucket per host', () => {
+    [1, 2, 3].forEach(() => limiter.reserve('https://example.com/', 1));
+
+    expect(limiter.reserve('https://docs.example.com/', 1)).toBe(0);
+  });
+
+  test('refills tokens as time passes', () => {
+    [1, 2].forEach(() => limiter.reserve('https://example.com/', 2));
+    now = 500;
+
+    expect(limiter.reserve('https://example.com/', 2)).toBe(0);
+    expect(limiter.reserve('https://example.com/', 2)).toBe(500);
+  });
+
+  test('halves the rate and pauses when the server throttles', () => {
+    [1, 2].forEach(() => limiter.reserve('https://example.com/', 4));
+
+    expect(limiter.recordFailure('https://example.com/', { throttled: true })).toBe(true);
+    expect(limiter.getRate('https://example.com/')).toEqual({
+      host: 'example.com',
+      rate: 2,
+      target: 4,
+    });
+    expect(limiter.reserve('https://example.com/', 4)).toBe(
+      CONFIG.RATE_LIMIT.BACKOFF_PAUSE_MS + 500
+    );
+  });
+
+  test('backs off only after a burst of ordinary failures', () => {
+    limiter.reserve('https://example.com/', 4);
+    const results = Array.from({ length: CONFIG.RATE_LIMIT.ERROR_BURST }, () =>
+      limiter.recordFailure('https://example.com/')
+    );
+
+    expect(results.slice(0, -1).every((lowered) => !lowered)).toBe(true);
+    expect(results.at(-1)).toBe(true);
+    expect(limiter.getRate('https://example.com/').rate).toBe(2);
+  });
+
+  test('recovers toward the target rate after successes', () => {
+    limiter.reserve('https://example.com/', 4);
+    limiter.recordFailure('https://example.com/', { throttled: true });
+
+    for (let page = 0; page < 20; page += 1) {
+      limiter.recordSuccess('https://example.com/');
+    }
+
+    expect(limiter.getRate('https://example.com/').rate).toBe(4);
+  });
+
+  test('knows nothing about hosts it has not seen', () => {
+    expect(limiter.getRate('https://example.com/')).toBeNull();
+    expect(limiter.recordFailure('https://example.com/', { throttled: true })).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+import { parseRobotsTxt, RobotsRules, RobotsCache } from '../src/background/robotsTxt.js';
+
+const ROBOTS = `
+# Example robots.txt
+User-agent: *
+Disallow: /private/
+Allow: /private/open
+Disallow: /*.json$
+Crawl-delay: 2
+
+User-agent: other-bot
+Disallow: /
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+const response = (status, body = '') => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => body,
+});
+
+describe('parseRobotsTxt', () => {
+  test('uses the * group when no group names this crawler', () => {
+    const rules = parseRobotsTxt(ROBOTS);
+    expect(rules.isAllowed('https://example.com/docs/')).toBe(true);
+    expect(rules.isAllowed('https://example.com/private/data')).toBe(false);
+    expect(rules.crawlDelay).toBe(2);
+    expect(rules.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+  });
+
+  test('prefers the longest matching rule', () => {
+    const rules = parseRobotsTxt(ROBOTS);
+    expect(rules.isAllowed('https://example.com/private/open/page')).toBe(true);
+  });
+
+  test('supports wildcards and end anchors', () => {
+    const rules = parseRobotsTxt(ROBOTS);
+    expect(rules.isAllowed('https://example.com/api/data.json')).toBe(false);
+    expect(rules.isAllowed('https://example.com/api/data.json?x=1')).toBe(true);
+  });
+
+  test('lets Allow win a tie', () => {
+    const rules = parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page');
+    expect(rules.isAllowed('https://example.com/page')).toBe(true);
+  });
+
+  test('uses a group that names this crawler over the * group', () => {
+    const rules = parseRobotsTxt(
+      'User-agent: *\nDisallow: /\n\nUser-agent: Webpage-Scraper\nUser-agent: x\nDisallow: /tmp'
+    );
+    expect(rules.isAllowed('https://example.com/docs')).toBe(true);
+    expect(rules.isAllowed('https://example.com/tmp/a')).toBe(false);
+  });
+
+  test('ignores empty Disallow lines and always allows robots.txt', () => {
+    expect(parseRobotsTxt('User-agent: *\nDisallow:').isAllowed('https://a.com/x')).toBe(true);
+    expect(RobotsRules.disallowAll().isAllowed('https://a.com/robots.txt')).toBe(true);
+  });
+});
+
+describe('RobotsCache', () => {
+  test('fetches robots.txt once per origin', async () => {
+    const fetcher = jest.fn(async () => response(200, ROBOTS));
+    const cache = new RobotsCache(fetcher);
+
+    expect(await cache.isAllowed('https://example.com/private/a')).toBe(false);
+    expect(await cache.isAllowed('https://example.com/docs')).toBe(true);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(fetcher.mock.calls[0][0]).toBe('https://example.com/robots.txt');
+  });
+
+  test('allows everything when robots.txt is missing', async () => {
+    const cache = new RobotsCache(async () => response(404));
+    expect(await cache.isAllowed('https://example.com/private/a')).toBe(true);
+  });
+
+  test('disallows everything when robots.txt is unreachable', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(await new RobotsCache(async () => response(503)).isAllowed('https://a.com/')).toBe(
+      false
+    );
+    const failing = new RobotsCache(async () => {
+      throw new Error('offline');
+    });
+    expect(await failing.isAllowed('https://b.com/')).toBe(false);
+    warn.mockRestore();
+  });
+
+  test('spaces requests by the crawl delay', async () => {
+    const cache = new RobotsCache(async () => response(200, ROBOTS));
+
+    const first = await cache.reserveRequestSlot('https://example.com/a');
+    const second = await cache.reserveRequestSlot('https://example.com/b');
+
+    expect(first).toBe(0);
+    expect(second).toBeGreaterThan(1900);
+    expect(second).toBeLessThanOrEqual(2000);
+  });
+});
@@ -1,6 +1,7 @@
-import { PageScraper } from '../src/background/scraper.js';
+import { PageScraper, ScrapeError, categorizeFailure } from '../src/background/scraper.js';
 import { TaskManager } from '../src/background/taskManager.js';
 import { TaskState } from '../src/background/taskState.js';
+import { CONFIG } from '../src/shared/config.js';
 
 const createTask = () => new TaskState(1, 'https://example.com', { maxPages: 5, concurrency: 1 });
 
@@ -48,8 +49,429 @@ describe('PageScraper', () => {
     expect(task.contentMap.get('https://example.com/about')).toEqual({
       title: 'About',
       textContent: 'About page content',
+      metadata: { fetchedAt: expect.any(String) },
     });
-    expect(task.queue).toContain('https://example.com/team');
-    expect(task.queue).not.toContain('https://other.com/skip');
+    expect(task.queue.toArray()).toContain('https://example.com/team');
+    expect(task.queue.toArray()).not.toContain('https://other.com/skip');
+  });
+
+  test('queues links from a page whose canonical URL was already captured', async () => {
+    task.addContent('https://example.com/', { title: 'Home', textContent: 'Home page' });
+    chrome.scripting.executeScript.mockResolvedValueOnce([{ result: null }]).mockResolvedValueOnce([
+      {
+        result: {
+          url: 'https://example.com/guide',
+          title: 'Guide',
+          content: 'Guide content',
+          metadata: { canonicalUrl: 'https://example.com/' },
+          links: ['https://example.com/guide/next'],
+        },
+      },
+    ]);
+
+    const result = await scraper.scrape(task, 'https://example.com/guide');
+
+    expect(result).toBe(true);
+    expect(task.aliases.get('https://example.com/guide')).toBe('https://example.com/');
+    expect(task.queue.toArray()).toContain('https://example.com/guide/next');
+  });
+
+  test('reports tab load times to the load monitor', async () => {
+    chrome.scripting.executeScript
+      .mockResolvedValueOnce([{ result: null }])
+      .mockResolvedValueOnce([{ result: { title: 'Home', content: 'Home page', links: [] } }]);
+    const loadMonitor = { recordPage: jest.fn() };
+
+    await scraper.scrape(task, 'https://example.com/', loadMonitor);
+
+    expect(loadMonitor.recordPage).toHaveBeenCalledWith({ loadMs: expect.any(Number) });
+  });
+
+  describe('fetch mode', () => {
+    const fetchTask = () =>
+      new TaskState(1, 'https://example.com', { maxPages: 5, fetchMode: 'fetch' });
+
+    test('captures fetched pages without opening a tab', async () => {
+      const pageFetcher = {
+        fetchPage: jest.fn().mockResolvedValue({
+          page: {
+            url: 'https://example.com/guide',
+            status: 200,
+            title: 'Guide',
+            content: 'Guide content',
+            links: [{ url: 'https://example.com/next', text: 'Next' }],
+            metadata: {},
+          },
+          fallbackReason: null,
+        }),
+      };
+      scraper = new PageScraper(taskManager, undefined, undefined, undefined, pageFetcher);
+      chrome.tabs.create.mockClear();
+      const fetched = fetchTask();
+
+      const result = await scraper.scrape(fetched, 'https://example.com/guide');
+
+      expect(result).toBe(true);
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+      expect(fetched.contentMap.get('https://example.com/guide').textContent).toBe(
+        'Guide content'
+      );
+      expect(fetched.queue.toArray()).toContain('https://example.com/next');
+    });
+
+    test('falls back to a tab for pages that need scripts', async () => {
+      const pageFetcher = {
+        fetchPage: jest.fn().mockResolvedValue({
+          page: null,
+          fallbackReason: 'too little text in the static HTML',
+        }),
+      };
+      scraper = new PageScraper(taskManager, undefined, undefined, undefined, pageFetcher);
+      chrome.tabs.create.mockClear();
+      chrome.scripting.executeScript
+        .mockResolvedValueOnce([{ result: null }])
+        .mockResolvedValueOnce([{ result: { title: 'App', content: 'Rendered', links: [] } }]);
+      const sendStatus = jest.spyOn(taskManager, 'sendStatus');
+      const fetched = fetchTask();
+
+      const result = await scraper.scrape(fetched, 'https://example.com/app');
+
+      expect(result).toBe(true);
+      expect(chrome.tabs.create).toHaveBeenCalledWith({
+        url: 'https://example.com/app',
+        active: false,
+      });
+      expect(fetched.contentMap.get('https://example.com/app').textContent).toBe('Rendered');
+      expect(sendStatus).toHaveBeenCalledWith(1, {
+        debug: 'Opening https://example.com/app in a tab: too little text in the static HTML',
+      });
+    });
+
+    test('leaves the fetcher unused in tab mode', async () => {
+      const pageFetcher = { fetchPage: jest.fn() };
+      scraper = new PageScraper(taskManager, undefined, undefined, undefined, pageFetcher);
+      chrome.scripting.executeScript
+        .mockResolvedValueOnce([{ result: null }])
+        .mockResolvedValueOnce([{ result: { title: 'Home', content: 'Home page', links: [] } }]);
+
+      await scraper.scrape(task, 'https://example.com/');
+
+      expect(pageFetcher.fetchPage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('tab pool', () => {
+    const page = (title) => [{ result: { title, content: `${title} content`, links: [] } }];
+
+    beforeEach(() => {
+      // Reused tabs report the navigation they were sent on
+      chrome.tabs.update = jest.fn((tabId) => {
+        const [handleUpdate] = chrome.tabs.onUpdated.addListener.mock.calls.at(-1);
+        handleUpdate(tabId, { status: 'loading' });
+        handleUpdate(tabId, { status: 'complete' });
+        return Promise.resolve({ id: tabId });
+      });
+      chrome.tabs.create.mockClear();
+      chrome.tabs.remove.mockClear();
+    });
+
+    afterEach(() => {
+      delete chrome.tabs.update;
+    });
+
+    test('loads later pages in the same tab', async () => {
+      scraper.openTabPool(task);
+      chrome.scripting.executeScript
+        .mockResolvedValueOnce([{ result: null }])
+        .mockResolvedValueOnce(page('First'))
+        .mockResolvedValueOnce([{ result: null }])
+        .mockResolvedValueOnce(page('Second'));
+
+      await scraper.scrape(task, 'https://example.com/first');
+      await scraper.scrape(task, 'https://example.com/second');
+
+      expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.update).toHaveBeenCalledWith(1, { url: 'https://example.com/second' });
+      expect(chrome.tabs.remove).not.toHaveBeenCalled();
+      expect(task.contentMap.get('https://example.com/second').textContent).toBe(
+        'Second content'
+      );
+
+      await scraper.closeTabPool(task);
+      expect(chrome.tabs.remove).toHaveBeenCalledWith(1);
+    });
+
+    test('replaces a pooled tab that was closed', async () => {
+      scraper.openTabPool(task);
+      chrome.tabs.update = jest.fn(() => Promise.reject(new Error('No tab with id: 1.')));
+      chrome.scripting.executeScript
+        .mockResolvedValueOnce([{ result: null }])
+        .mockResolvedValueOnce(page('First'));
+
+      await scraper.scrape(task, 'https://example.com/first');
+      const result = await scraper.scrape(task, 'https://example.com/second');
+
+      expect(result).toBe(false);
+      expect(task.queue.toArray()).toContain('https://example.com/second');
+      expect(scraper.tabPools.get(task).idle).toEqual([]);
+      await scraper.closeTabPool(task);
+    });
+
+    test('keeps a new crawl pool when a stopped crawl on the same tab closes', async () => {
+      const stopped = createTask();
+      const next = createTask();
+      const oldPool = scraper.openTabPool(stopped);
+      const newPool = scraper.openTabPool(next);
+
+      await scraper.closeTabPool(stopped);
+
+      expect(newPool).not.toBe(oldPool);
+      expect(newPool.poolId).not.toBe(oldPool.poolId);
+      expect(scraper.tabPools.get(next)).toBe(newPool);
+      expect(newPool.closed).toBe(false);
+      await scraper.closeTabPool(next);
+    });
+  });
+
+  test('skips discovered links rejected by the URL patterns', async () => {
+    const filtered = new TaskState(1, 'https://example.com/docs/', {
+      maxPages: 5,
+      excludePatterns: ['/docs/old/*'],
+    });
+    const sendStatus = jest.spyOn(taskManager, 'sendStatus');
+
+    await scraper.enqueueDiscoveredLinks(filtered, [
+      'https://example.com/docs/new',
+      'https://example.com/docs/old/a',
+    ]);
+
+    expect(filtered.queue.toArray()).toContain('https://example.com/docs/new');
+    expect(filtered.queue.toArray()).not.toContain('https://example.com/docs/old/a');
+    expect(sendStatus).toHaveBeenCalledWith(1, {
+      filterRejections: { 'exclude: /docs/old/*': 1 },
+    });
+  });
+
+  test('queues links one level deeper than the page they were found on', async () => {
+    const limited = new TaskState(1, 'https://example.com/', { maxPages: 5, maxDepth: 1 });
+
+    await scraper.enqueueDiscoveredLinks(limited, ['https://example.com/a'], 1);
+    await scraper.enqueueDiscoveredLinks(limited, ['https://example.com/a/b'], 2);
+
+    expect(limited.queue.toArray()).toEqual(['https://example.com/', 'https://example.com/a']);
+    expect(limited.getDepth('https://example.com/a')).toBe(1);
+  });
+
+  test('orders links by their link text in best-first crawls', async () => {
+    const ranked = new TaskState(1, 'https://example.com/', {
+      maxPages: 5,
+      crawlOrder: 'best-first',
+      priorityKeywords: ['install'],
+    });
+    ranked.getNextUrl();
+
+    await scraper.enqueueDiscoveredLinks(ranked, [
+      { url: 'https://example.com/blog', text: 'Blog' },
+      { url: 'https://example.com/start', text: 'Install the CLI' },
+      'https://example.com/contact',
+    ]);
+
+    expect(ranked.queue.toArray()).toEqual([
+      'https://example.com/start',
+      'https://example.com/blog',
+      'https://example.com/contact',
+    ]);
+  });
+
+  test('queues a high-scoring link found after the page limit is queued', async () => {
+    const ranked = new TaskState(1, 'https://example.com/', {
+      maxPages: 3,
+      crawlOrder: 'best-first',
+      priorityKeywords: ['install'],
+    });
+    ranked.getNextUrl();
+
+    await scraper.enqueueDiscoveredLinks(ranked, [
+      { url: 'https://example.com/blog', text: 'Blog' },
+      { url: 'https://example.com/about', text: 'About' },
+      { url: 'https://example.com/news', text: 'News' },
+      { url: 'https://example.com/setup', text: 'Install guide' },
+    ]);
+
+    expect(ranked.getNextUrl()).toBe('https://example.com/setup');
+  });
+
+  test('keeps discovered links inside the path scope', async () => {
+    const scoped = new TaskState(1, 'https://example.com/docs/v2/', {
+      maxPages: 5,
+      pathScope: 'start-path',
+    });
+
+    await scraper.enqueueDiscoveredLinks(scoped, [
+      'https://example.com/docs/v2/guide',
+      'https://example.com/docs/v1/guide',
+      'https://example.com/pricing',
+    ]);
+
+    expect(scoped.queue.toArray()).toEqual(['https://example.com/docs/v2/', 'https://example.com/docs/v2/guide']);
+  });
+
+  test('skips links disallowed by robots.txt and counts them', async () => {
+    const robots = { isAllowed: jest.fn(async (url) => !url.includes('/private')) };
+    scraper = new PageScraper(taskManager, robots);
+    const polite = new TaskState(1, 'https://example.com/', { maxPages: 5, robotsMode: 'on' });
+    const sendStatus = jest.spyOn(taskManager, 'sendStatus');
+
+    await scraper.enqueueDiscoveredLinks(polite, [
+      'https://example.com/',
+      'https://example.com/public',
+      'https://example.com/private/a',
+      'https://example.com/private/a',
+    ]);
+
+    expect(polite.queue.toArray()).toEqual(['https://example.com/', 'https://example.com/public']);
+    expect([...polite.robotsSkipped]).toEqual(['https://example.com/private/a']);
+    expect(robots.isAllowed).not.toHaveBeenCalledWith('https://example.com/');
+    expect(sendStatus).toHaveBeenCalledWith(1, {
+      robotsSkipped: 1,
+      debug: 'Skipped 1 link(s) disallowed by robots.txt',
+    });
+  });
+
+  test('seeds the queue from sitemaps once', async () => {
+    const robots = {
+      getRules: jest.fn(async () => ({ sitemaps: [] })),
+      isAllowed: jest.fn(async () => true),
+    };
+    const sitemaps = {
+      collect: jest.fn(async () => ({
+        urls: ['https://example.com/docs/a', 'https://other.com/b', 'https://example.com/docs/c'],
+        sitemapCount: 1,
+      })),
+    };
+    scraper = new PageScraper(taskManager, robots, sitemaps);
+    const seeded = new TaskState(1, 'https://example.com/docs/', {
+      maxPages: 3,
+      crawlMode: false,
+      useSitemap: true,
+      sitemapSince: '2024-01-01',
+    });
+
+    await scraper.seedFromSitemaps(seeded);
+    await scraper.seedFromSitemaps(seeded);
+
+    expect(sitemaps.collect).toHaveBeenCalledTimes(1);
+    expect(sitemaps.collect).toHaveBeenCalledWith(['https://example.com/sitemap.xml'], {
+      since: Date.parse('2024-01-01'),
+      limit: CONFIG.SITEMAP.MAX_URLS,
+    });
+    expect(seeded.queue.toArray()).toEqual([
+      'https://example.com/docs/',
+      'https://example.com/docs/a',
+      'https://example.com/docs/c',
+    ]);
+    expect(TaskState.fromJSON(seeded.toJSON()).sitemapSeeded).toBe(true);
+  });
+
+  test.each(['waitForRateLimit', 'waitForCrawlDelay'])(
+    'does not load a page when the task stops during %s',
+    async (wait) => {
+      jest.spyOn(scraper, wait).mockImplementation(async () => task.stop());
+      chrome.tabs.create.mockClear();
+
+      const result = await scraper.scrape(task, 'https://example.com/late');
+
+      expect(result).toBe(false);
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+      expect(task.inProgress).toBe(0);
+    }
+  );
+
+  describe('retries', () => {
+    const originalDelays = CONFIG.RETRY_DELAYS;
+
+    beforeEach(() => {
+      CONFIG.RETRY_DELAYS = [0, 0, 0];
+    });
+
+    afterEach(() => {
+      CONFIG.RETRY_DELAYS = originalDelays;
+    });
+
+    test('requeues pages that fail with a transient error', async () => {
+      chrome.scripting.executeScript
+        .mockResolvedValueOnce([{ result: null }])
+        .mockResolvedValueOnce([{ result: { title: 'Empty', content: '', links: [] } }]);
+      const url = task.getNextUrl();
+
+      const result = await scraper.scrape(task, url);
+
+      expect(result).toBe(false);
+      expect(task.processed).toBe(0);
+      expect(task.inProgress).toBe(0);
+      expect(task.queue.toArray()).toEqual([url]);
+      expect(task.getAttemptCount(url)).toBe(1);
+    });
+
+    test('retries and slows down when the server answers 429', async () => {
+      chrome.scripting.executeScript.mockResolvedValueOnce([{ result: null }]).mockResolvedValueOnce([
+        { result: { status: 429, title: 'Too Many Requests', content: 'Slow down', links: [] } },
+      ]);
+      const sendStatus = jest.spyOn(taskManager, 'sendStatus');
+      const url = task.getNextUrl();
+
+      await scraper.scrape(task, url);
+
+      expect(task.queue.toArray()).toEqual([url]);
+      expect(task.contentMap.size).toBe(0);
+      expect(scraper.rateLimiter.getRate(url)).toEqual({
+        host: 'example.com',
+        rate: CONFIG.DEFAULTS.REQUESTS_PER_SECOND / 2,
+        target: CONFIG.DEFAULTS.REQUESTS_PER_SECOND,
+      });
+      expect(sendStatus).toHaveBeenCalledWith(
+        task.taskId,
+        expect.objectContaining({ requestRate: scraper.rateLimiter.getRate(url) })
+      );
+    });
+
+    test('gives up once the retry budget is spent', async () => {
+      const url = task.getNextUrl();
+      for (let attempt = 0; attempt <= CONFIG.LIMITS.MAX_RETRIES; attempt += 1) {
+        chrome.tabs.create.mockRejectedValueOnce(new Error('Tab crashed'));
+      }
+
+      let next = url;
+      while (next) {
+        await scraper.scrape(task, next);
+        next = task.getNextUrl();
+      }
+
+      expect(task.getAttemptCount(url)).toBe(CONFIG.LIMITS.MAX_RETRIES + 1);
+      expect(task.queue.toArray()).toEqual([]);
+      expect(task.processed).toBe(1);
+    });
+
+    test('does not retry permanent failures', async () => {
+      chrome.tabs.create.mockRejectedValueOnce(new Error('Cannot access contents of the page'));
+      const url = task.getNextUrl();
+
+      await scraper.scrape(task, url);
+
+      expect(task.queue.toArray()).toEqual([]);
+      expect(task.processed).toBe(1);
+      expect(task.failures.get(url)).toEqual({
+        category: 'blocked',
+        message: 'Cannot access contents of the page',
+        attempts: 1,
+      });
+    });
+  });
+
+  test('categorizes failures', () => {
+    expect(categorizeFailure(new ScrapeError('Tab load timeout', 'timeout'))).toBe('timeout');
+    expect(categorizeFailure(new Error('Frame with ID 0 was removed.'))).toBe('tab-crashed');
+    expect(categorizeFailure(new Error('Cannot access a chrome:// URL'))).toBe('blocked');
+    expect(categorizeFailure(new Error('Something else'))).toBe('error');
   });
 });
@@ -42,6 +42,7 @@ global.chrome = {
       return Promise.resolve(tab);
     }),
     query: jest.fn(() => Promise.resolve([{ id: 1, active: true, url: 'https://example.com' }])),
+    group: jest.fn(() => Promise.resolve(200)),
     onUpdated: {
       addListener: jest.fn(),
       removeListener: jest.fn(),
@@ -76,6 +77,13 @@ global.chrome = {
   downloads: {
     download: jest.fn(() => Promise.resolve(123)),
   },
+  windows: {
+    create: jest.fn(() => Promise.resolve({ id: 100, tabs: [{ id: 101 }] })),
+    remove: jest.fn(() => Promise.resolve()),
+  },
+  tabGroups: {
+    update: jest.fn(() => Promise.resolve()),
+  },
   offscreen: {
     createDocument: jest.fn(),
     closeDocument: jest.fn(),
@@ -0,0 +1,106 @@
+import { TextDecoder } from 'util';
+import { gzipSync, gunzipSync } from 'zlib';
+import { parseSitemap, SitemapLoader } from '../src/background/sitemap.js';
+
+// jsdom does not provide TextDecoder
+global.TextDecoder = TextDecoder;
+
+const URLSET = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+  <url>
+    <image:image><image:loc>https://example.com/a.png</image:loc></image:image>
+    <loc>https://example.com/docs/?a=1&amp;b=2</loc>
+    <lastmod>2024-05-01</lastmod>
+  </url>
+  <url><loc><![CDATA[https://example.com/old]]></loc><lastmod>2020-01-01T00:00:00Z</lastmod></url>
+  <url><loc>https://example.com/undated</loc></url>
+</urlset>`;
+
+const INDEX = `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/pages.xml.gz</loc><lastmod>2024-06-01</lastmod></sitemap>
+  <sitemap><loc>https://example.com/archive.xml</loc><lastmod>2019-01-01</lastmod></sitemap>
+</sitemapindex>`;
+
+const respond = (body) => ({
+  ok: true,
+  status: 200,
+  arrayBuffer: async () => (typeof body === 'string' ? Buffer.from(body) : body),
+});
+
+const createLoader = (files) => {
+  const fetcher = jest.fn(async (url) =>
+    url in files ? respond(files[url]) : { ok: false, status: 404 }
+  );
+  return new SitemapLoader({ fetcher, gunzip: async (bytes) => gunzipSync(bytes) });
+};
+
+describe('parseSitemap', () => {
+  test('reads page entries with their lastmod', () => {
+    const { isIndex, entries } = parseSitemap(URLSET);
+    expect(isIndex).toBe(false);
+    expect(entries).toEqual([
+      { loc: 'https://example.com/docs/?a=1&b=2', lastmod: '2024-05-01' },
+      { loc: 'https://example.com/old', lastmod: '2020-01-01T00:00:00Z' },
+      { loc: 'https://example.com/undated', lastmod: null },
+    ]);
+  });
+
+  test('recognises sitemap indexes', () => {
+    const { isIndex, entries } = parseSitemap(INDEX);
+    expect(isIndex).toBe(true);
+    expect(entries.map((entry) => entry.loc)).toEqual([
+      'https://example.com/pages.xml.gz',
+      'https://example.com/archive.xml',
+    ]);
+  });
+});
+
+describe('SitemapLoader', () => {
+  test('follows sitemap indexes and unpacks gzipped sitemaps', async () => {
+    const loader = createLoader({
+      'https://example.com/sitemap.xml': INDEX,
+      'https://example.com/pages.xml.gz': gzipSync(URLSET),
+      'https://example.com/archive.xml': '<urlset><url><loc>https://example.com/x</loc></url></urlset>',
+    });
+
+    const { urls, sitemapCount } = await loader.collect(['https://example.com/sitemap.xml']);
+
+    expect(sitemapCount).toBe(3);
+    expect(urls).toEqual([
+      'https://example.com/docs/?a=1&b=2',
+      'https://example.com/old',
+      'https://example.com/undated',
+      'https://example.com/x',
+    ]);
+  });
+
+  test('filters pages and index entries by lastmod', async () => {
+    const loader = createLoader({
+      'https://example.com/sitemap.xml': INDEX,
+      'https://example.com/pages.xml.gz': gzipSync(URLSET),
+    });
+
+    const { urls } = await loader.collect(['https://example.com/sitemap.xml'], {
+      since: Date.parse('2024-01-01'),
+    });
+
+    expect(urls).toEqual(['https://example.com/docs/?a=1&b=2', 'https://example.com/undated']);
+    expect(loader.fetcher).not.toHaveBeenCalledWith(
+      'https://example.com/archive.xml',
+      expect.anything()
+    );
+  });
+
+  test('stops at the URL limit and skips unreadable sitemaps', async () => {
+    const loader = createLoader({ 'https://example.com/sitemap.xml': URLSET });
+
+    const { urls } = await loader.collect(
+      ['https://example.com/missing.xml', 'http://localhost/sitemap.xml', 'https://example.com/sitemap.xml'],
+      { limit: 2 }
+    );
+
+    expect(urls).toHaveLength(2);
+    expect(loader.fetcher).not.toHaveBeenCalledWith('http://localhost/sitemap.xml', expect.anything());
+  });
+});
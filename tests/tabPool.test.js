@@ -0,0 +1,174 @@
+import { TabPool } from '../src/background/tabPool.js';
+
+const createStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    data,
+    get: jest.fn(() => Promise.resolve({ ...data })),
+    set: jest.fn((items) => Promise.resolve(Object.assign(data, items))),
+    remove: jest.fn((keys) => {
+      [].concat(keys).forEach((key) => delete data[key]);
+      return Promise.resolve();
+    }),
+  };
+};
+
+describe('TabPool', () => {
+  let nextTabId;
+  let storage;
+
+  beforeEach(() => {
+    nextTabId = 10;
+    chrome.tabs.create.mockImplementation(() => Promise.resolve({ id: nextTabId++ }));
+    chrome.tabs.remove.mockClear();
+    storage = createStorage();
+  });
+
+  afterEach(() => {
+    chrome.tabs.create.mockImplementation(() =>
+      Promise.resolve({ id: 1, url: 'https://example.com' })
+    );
+  });
+
+  test('reuses released tabs instead of opening new ones', async () => {
+    const pool = new TabPool(1, { size: 2, placement: 'current', storage });
+
+    const first = await pool.acquire('https://example.com/a');
+    await pool.release(first.id);
+    const second = await pool.acquire('https://example.com/b');
+
+    expect(first).toEqual({ id: 10, reused: false });
+    expect(second).toEqual({ id: 10, reused: true });
+    expect(chrome.tabs.create).toHaveBeenCalledWith({
+      url: 'https://example.com/a',
+      active: false,
+    });
+    expect(storage.data).toEqual({ [pool.storageKey]: { tabIds: [10], windowId: null } });
+  });
+
+  test('replaces a tab after its page allowance', async () => {
+    const pool = new TabPool(1, { size: 1, pagesPerTab: 2, placement: 'current', storage });
+
+    await pool.release((await pool.acquire('https://example.com/a')).id);
+    await pool.release((await pool.acquire('https://example.com/b')).id);
+    const fresh = await pool.acquire('https://example.com/c');
+
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(10);
+    expect(fresh).toEqual({ id: 11, reused: false });
+    expect(storage.data).toEqual({ [pool.storageKey]: { tabIds: [11], windowId: null } });
+  });
+
+  test('closes tabs that are not reusable', async () => {
+    const pool = new TabPool(1, { size: 1, storage });
+
+    const tab = await pool.acquire('https://example.com/a');
+    await pool.release(tab.id, { reusable: false });
+
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(10);
+    expect(pool.idle).toEqual([]);
+  });
+
+  test('closes extra tabs after shrinking', async () => {
+    const pool = new TabPool(1, { size: 2, storage });
+    const first = await pool.acquire('https://example.com/a');
+    const second = await pool.acquire('https://example.com/b');
+
+    pool.resize(1);
+    await pool.release(first.id);
+    await pool.release(second.id);
+
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(10);
+    expect(pool.idle).toEqual([11]);
+  });
+
+  test('closes every tab and forgets them', async () => {
+    const pool = new TabPool(1, { size: 2, storage });
+    const first = await pool.acquire('https://example.com/a');
+    await pool.acquire('https://example.com/b');
+    await pool.release(first.id);
+
+    await pool.close();
+
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(10);
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(11);
+    expect(storage.data).toEqual({});
+  });
+
+  test('opens tabs in one minimized window and closes it with the pool', async () => {
+    chrome.windows.create.mockClear();
+    chrome.windows.remove.mockClear();
+    const pool = new TabPool(1, { size: 2, storage });
+
+    await Promise.all([
+      pool.acquire('https://example.com/a'),
+      pool.acquire('https://example.com/b'),
+    ]);
+
+    expect(chrome.windows.create).toHaveBeenCalledTimes(1);
+    expect(chrome.windows.create).toHaveBeenCalledWith({
+      url: 'about:blank',
+      focused: false,
+      state: 'minimized',
+    });
+    expect(chrome.tabs.create).toHaveBeenCalledWith({
+      url: 'https://example.com/b',
+      active: false,
+      windowId: 100,
+    });
+    expect(storage.data[pool.storageKey].windowId).toBe(100);
+
+    await pool.close();
+    expect(chrome.windows.remove).toHaveBeenCalledWith(100);
+  });
+
+  test('opens a new window when the crawl window was closed', async () => {
+    chrome.windows.create.mockResolvedValueOnce({ id: 100 }).mockResolvedValueOnce({ id: 102 });
+    chrome.tabs.create
+      .mockRejectedValueOnce(new Error('No window with id: 100.'))
+      .mockResolvedValueOnce({ id: 12 });
+    const pool = new TabPool(1, { size: 1, storage });
+
+    const tab = await pool.acquire('https://example.com/a');
+
+    expect(tab).toEqual({ id: 12, reused: false });
+    expect(pool.windowId).toBe(102);
+  });
+
+  test('collects tabs in a collapsed group named after the site', async () => {
+    chrome.tabs.group.mockClear();
+    chrome.tabGroups.update.mockClear();
+    const pool = new TabPool(1, { size: 2, placement: 'group', label: 'example.com', storage });
+
+    await pool.acquire('https://example.com/a');
+    await pool.acquire('https://example.com/b');
+
+    expect(chrome.tabs.group.mock.calls).toEqual([
+      [{ tabIds: [10] }],
+      [{ groupId: 200, tabIds: [11] }],
+    ]);
+    expect(chrome.tabGroups.update).toHaveBeenCalledTimes(1);
+    expect(chrome.tabGroups.update).toHaveBeenCalledWith(200, {
+      title: 'example.com',
+      collapsed: true,
+    });
+  });
+
+  test('closes tabs and windows left by pools a stopped worker lost', async () => {
+    chrome.windows.remove.mockClear();
+    storage = createStorage({
+      'tabPool_1-100-1': { tabIds: [4, 5], windowId: 7 },
+      'tabPool_2-100-2': { tabIds: [6], windowId: null },
+      crawl_1: 'kept',
+    });
+
+    const closed = await TabPool.closeOrphans({ keepPoolIds: ['2-100-2'], storage });
+
+    expect(closed).toBe(2);
+    expect(chrome.tabs.remove.mock.calls).toEqual([[4], [5]]);
+    expect(chrome.windows.remove.mock.calls).toEqual([[7]]);
+    expect(storage.data).toEqual({
+      'tabPool_2-100-2': { tabIds: [6], windowId: null },
+      crawl_1: 'kept',
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { TaskManager } from '../src/background/taskManager.js';
+import { TaskState } from '../src/background/taskState.js';
+
+describe('TaskManager', () => {
+  test('writes no pages after a stopped task is cleaned up', async () => {
+    const events = [];
+    const pageStore = {
+      put: jest.fn((runId, url) => {
+        events.push(`put ${url}`);
+        return Promise.resolve();
+      }),
+      deleteRun: jest.fn(() => {
+        events.push('deleteRun');
+        return Promise.resolve();
+      }),
+    };
+    const taskManager = new TaskManager(null, pageStore);
+    const task = taskManager.createTask(1, 'https://example.com/', {});
+
+    task.addContent('https://example.com/a', { title: 'A', textContent: 'Body A' });
+    taskManager.cleanupTask(1);
+    // A scrape that was in flight when the crawl stopped finishes afterwards
+    const added = task.addContent('https://example.com/b', { title: 'B', textContent: 'Body B' });
+    await task.flushContent();
+    await Promise.resolve();
+
+    expect(added).toBe(false);
+    expect(taskManager.getTask(1)).toBeNull();
+    expect(events).toEqual(['put https://example.com/a', 'deleteRun']);
+  });
+
+  test('keeps stored pages when asked to', async () => {
+    const pageStore = { put: jest.fn(() => Promise.resolve()), deleteRun: jest.fn() };
+    const taskManager = new TaskManager(null, pageStore);
+    const task = taskManager.createTask(1, 'https://example.com/', {});
+
+    task.addContent('https://example.com/a', { title: 'A', textContent: 'Body A' });
+    taskManager.cleanupTask(1, { keepContent: true });
+    await task.flushContent();
+
+    expect(pageStore.deleteRun).not.toHaveBeenCalled();
+  });
+
+  test('keeps the last crawl pages when a failure retry is stopped', async () => {
+    const pageStore = { put: jest.fn(() => Promise.resolve()), deleteRun: jest.fn() };
+    const taskManager = new TaskManager(null, pageStore);
+    const lastCrawl = new TaskState(1, 'https://example.com/', {});
+    lastCrawl.recordFailure('https://example.com/broken', 'timeout', 'Tab load timeout');
+    lastCrawl.prepareFailureRetry();
+
+    taskManager.restoreTask(lastCrawl);
+    taskManager.cleanupTask(1);
+    await lastCrawl.flushContent();
+
+    expect(pageStore.deleteRun).not.toHaveBeenCalled();
+  });
+});
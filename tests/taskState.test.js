@@ -1,4 +1,5 @@
 import { TaskState } from '../src/background/taskState.js';
+import { CONFIG } from '../src/shared/config.js';
 
 const START_URL = 'https://example.com/posts/welcome?ref=123#top';
 
@@ -29,14 +30,51 @@ describe('TaskState', () => {
 
     expect(addedFirst).toBe(true);
     expect(addedDuplicate).toBe(false);
-    expect(task.queue).toContain('https://example.com/about');
+    expect(task.queue.toArray()).toContain('https://example.com/about');
   });
 
-  test('respects max page limit when queuing links', () => {
+  test('respects max page limit when scheduling pages', () => {
     const task = new TaskState(1, START_URL, { maxPages: 3 });
     expect(task.addToQueue('https://example.com/page-1')).toBe(true);
     expect(task.addToQueue('https://example.com/page-2')).toBe(true);
-    expect(task.addToQueue('https://example.com/page-3')).toBe(false);
+    expect(task.addToQueue('https://example.com/page-3')).toBe(true);
+
+    task.processed = 3;
+    expect(task.canSchedule()).toBe(false);
+    expect(task.queue.length).toBe(0);
+  });
+
+  test('queues a better link found after the page limit is reached', () => {
+    const task = new TaskState(1, 'https://example.com/', {
+      maxPages: 3,
+      crawlOrder: 'best-first',
+      priorityKeywords: ['install'],
+    });
+    task.getNextUrl();
+    task.addToQueue('https://example.com/blog', 1, 'Blog');
+    task.addToQueue('https://example.com/about', 1, 'About');
+    task.addToQueue('https://example.com/news', 1, 'News');
+
+    expect(task.addToQueue('https://example.com/setup', 1, 'Install guide')).toBe(true);
+    expect(task.getNextUrl()).toBe('https://example.com/setup');
+  });
+
+  test('drops the lowest-scored pages once the queue is full', () => {
+    const task = new TaskState(1, 'https://example.com/', {
+      maxPages: 1,
+      crawlOrder: 'best-first',
+      priorityKeywords: ['install'],
+    });
+    task.getNextUrl();
+    for (let index = 0; index < CONFIG.FRONTIER.CAPACITY_PER_PAGE; index += 1) {
+      task.addToQueue(`https://example.com/post-${index}`, 2, 'Post');
+    }
+
+    expect(task.addToQueue('https://example.com/setup', 1, 'Install guide')).toBe(true);
+    expect(task.queue.length).toBe(CONFIG.FRONTIER.CAPACITY_PER_PAGE);
+    expect(task.queue.toArray()[0]).toBe('https://example.com/setup');
+    expect(task.visited.has('https://example.com/post-9')).toBe(false);
+    expect(task.addToQueue('https://example.com/tag', 3, 'Tag')).toBe(false);
   });
 
   test('canSchedule requires queue capacity and respects abort flag', () => {
@@ -60,7 +98,7 @@ describe('TaskState', () => {
     const task = new TaskState(1, START_URL, { maxPages: 1 });
 
     expect(task.isComplete()).toBe(false);
-    task.queue = [];
+    task.queue.clear();
     task.inProgress = 0;
     expect(task.isComplete()).toBe(true);
     expect(task.markAsFinishing()).toBe(true);
@@ -82,10 +120,415 @@ describe('TaskState', () => {
     const revived = TaskState.fromJSON(serialised);
 
     expect(revived).not.toBeNull();
-    expect(revived?.queue).toContain('https://example.com/about');
+    expect(revived?.queue.toArray()).toContain('https://example.com/about');
     expect(revived?.contentMap.get('https://example.com/posts/welcome')).toEqual({
       title: 'Welcome',
       textContent: 'Hello world',
     });
   });
+
+  test('stop with export finishes once in-flight pages settle', () => {
+    const task = new TaskState(1, START_URL, {});
+    task.inProgress = 1;
+
+    task.stop({ exportPartial: true });
+
+    expect(task.queue.toArray()).toEqual([]);
+    expect(task.addToQueue('https://example.com/late')).toBe(false);
+    expect(task.markAsFinishing()).toBe(false);
+
+    task.inProgress = 0;
+    expect(task.markAsFinishing()).toBe(true);
+  });
+
+  test('plain stop never finishes the task', () => {
+    const task = new TaskState(1, START_URL, {});
+    task.stop();
+    task.inProgress = 0;
+
+    expect(task.markAsFinishing()).toBe(false);
+  });
+
+  test('requeues in-flight pages when serialised', () => {
+    const task = new TaskState(1, START_URL, {});
+    const url = task.getNextUrl();
+    task.markPageStarted(url);
+
+    const revived = TaskState.fromJSON(task.toJSON());
+    expect(revived.queue.toArray()).toEqual(['https://example.com/posts/welcome']);
+
+    task.markPageFinished(url);
+    expect(task.inProgress).toBe(0);
+    expect(task.processed).toBe(1);
+    expect(TaskState.fromJSON(task.toJSON()).queue.toArray()).toEqual([]);
+  });
+
+  test('restores a pending stop-and-export', () => {
+    const task = new TaskState(1, START_URL, {});
+    task.stop({ exportPartial: true });
+
+    const revived = TaskState.fromJSON(task.toJSON());
+    expect(revived.abort).toBe(true);
+    expect(revived.markAsFinishing()).toBe(true);
+  });
+
+  test('keeps page text in the content store when one is attached', async () => {
+    const pages = new Map();
+    const store = {
+      put: jest.fn((runId, url, entry) => {
+        pages.set(`${runId} ${url}`, entry);
+        return Promise.resolve();
+      }),
+      get: jest.fn((runId, url) => Promise.resolve(pages.get(`${runId} ${url}`) ?? null)),
+    };
+    const task = new TaskState(1, START_URL, {});
+    task.setContentStore(store);
+
+    task.addContent('https://example.com/a', { title: 'A', textContent: 'Body A' });
+    await task.flushContent();
+
+    expect(task.contentMap.get('https://example.com/a')).toEqual({ title: 'A' });
+    expect(store.put).toHaveBeenCalledWith(task.runId, 'https://example.com/a', {
+      title: 'A',
+      textContent: 'Body A',
+    });
+    expect(await task.loadContent('https://example.com/a')).toBe('Body A');
+    expect(TaskState.fromJSON(task.toJSON()).runId).toBe(task.runId);
+  });
+
+  test('falls back to memory when the content store fails', async () => {
+    const task = new TaskState(1, START_URL, {});
+    task.setContentStore({ put: jest.fn(() => Promise.reject(new Error('disk full'))) });
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+    task.addContent('https://example.com/a', { title: 'A', textContent: 'Body A' });
+    await task.flushContent();
+
+    expect(await task.loadContent('https://example.com/a')).toBe('Body A');
+    console.warn.mockRestore();
+  });
+
+  test('records failures and prepares a retry of only those pages', () => {
+    const task = new TaskState(1, START_URL, {});
+    task.addContent(START_URL, { title: 'Welcome', textContent: 'Hello' });
+    task.markPageStarted('https://example.com/broken');
+    task.markPageFinished('https://example.com/broken');
+    task.recordFailure('https://example.com/broken', 'timeout', 'Tab load timeout');
+    task.queue.clear();
+
+    const revived = TaskState.fromJSON(task.toJSON());
+    expect(revived.failures.get('https://example.com/broken')).toEqual({
+      category: 'timeout',
+      message: 'Tab load timeout',
+      attempts: 1,
+    });
+
+    expect(revived.prepareFailureRetry()).toBe(1);
+    expect(revived.queue.toArray()).toEqual(['https://example.com/broken']);
+    expect(revived.failures.size).toBe(0);
+    expect(revived.processed).toBe(0);
+    expect(revived.settings.crawlMode).toBe(false);
+    expect(revived.contentMap.has('https://example.com/posts/welcome')).toBe(true);
+  });
+
+  test('retries the failed pages of a crawl stopped with an export', () => {
+    const task = new TaskState(1, START_URL, {});
+    task.markPageStarted('https://example.com/broken');
+    task.markPageFinished('https://example.com/broken');
+    task.recordFailure('https://example.com/broken', 'timeout', 'Tab load timeout');
+    task.stop({ exportPartial: true });
+    expect(task.markAsFinishing()).toBe(true);
+    task.markAsFinished();
+
+    const revived = TaskState.fromJSON(task.toJSON());
+    expect(revived.prepareFailureRetry()).toBe(1);
+
+    expect(revived.isStoppedForExport()).toBe(false);
+    expect(revived.canSchedule()).toBe(true);
+    expect(revived.markAsFinishing()).toBe(false);
+    expect(revived.getNextUrl()).toBe('https://example.com/broken');
+    expect(TaskState.fromJSON(revived.toJSON()).isFailureRetry).toBe(true);
+  });
+
+  test('counts each link rejected by the URL patterns once per rule', () => {
+    const task = new TaskState(1, START_URL, {
+      includePatterns: ['/posts/*', ' '],
+      excludePatterns: ['/posts/drafts/*'],
+    });
+    expect(task.settings.includePatterns).toEqual(['/posts/*']);
+
+    expect(task.passesUrlFilter('https://example.com/posts/second')).toBe(true);
+    expect(task.passesUrlFilter('https://example.com/posts/drafts/a')).toBe(false);
+    expect(task.passesUrlFilter('https://example.com/posts/drafts/a#top')).toBe(false);
+    expect(task.passesUrlFilter('https://example.com/about')).toBe(false);
+    expect(task.passesUrlFilter(START_URL)).toBe(true);
+
+    const revived = TaskState.fromJSON(task.toJSON());
+    expect(Object.fromEntries(revived.linkRejections)).toEqual({
+      'exclude: /posts/drafts/*': 1,
+      'include: no pattern matched': 1,
+    });
+    expect(revived.passesUrlFilter('https://example.com/about')).toBe(false);
+    expect(revived.linkRejections.get('include: no pattern matched')).toBe(1);
+  });
+
+  test('tracks link depth and enforces the depth limit', () => {
+    const task = new TaskState(1, START_URL, { maxDepth: 1 });
+    expect(task.settings.maxDepth).toBe(1);
+    expect(new TaskState(1, START_URL, { maxDepth: '' }).settings.maxDepth).toBeNull();
+    expect(new TaskState(1, START_URL, { maxDepth: -2 }).settings.maxDepth).toBeNull();
+
+    expect(task.getDepth(START_URL)).toBe(0);
+    expect(task.addToQueue('https://example.com/a', 1)).toBe(true);
+    expect(task.addToQueue('https://example.com/b', 2)).toBe(false);
+    expect(task.visited.has('https://example.com/b')).toBe(false);
+
+    // A shorter path found later lowers the recorded depth
+    task.depths.set('https://example.com/a', 3);
+    expect(task.addToQueue('https://example.com/a', 1)).toBe(false);
+    expect(task.getDepth('https://example.com/a')).toBe(1);
+
+    const revived = TaskState.fromJSON(task.toJSON());
+    expect(revived.settings.maxDepth).toBe(1);
+    expect(revived.getDepth('https://example.com/a#intro')).toBe(1);
+  });
+
+  test('follows robots.txt automatically only for large crawls', () => {
+    expect(new TaskState(1, START_URL, { maxPages: 100 }).respectsRobotsTxt()).toBe(true);
+    expect(new TaskState(1, START_URL, { maxPages: 99 }).respectsRobotsTxt()).toBe(false);
+    expect(
+      new TaskState(1, START_URL, { maxPages: 500, crawlMode: false }).respectsRobotsTxt()
+    ).toBe(false);
+    expect(new TaskState(1, START_URL, { maxPages: 5, robotsMode: 'on' }).respectsRobotsTxt()).toBe(
+      true
+    );
+    expect(
+      new TaskState(1, START_URL, { maxPages: 500, robotsMode: 'off' }).respectsRobotsTxt()
+    ).toBe(false);
+  });
+
+  test('records robots.txt skips once and keeps them when serialised', () => {
+    const task = new TaskState(1, START_URL, {});
+    expect(task.recordRobotsSkip('https://example.com/private#a')).toBe(true);
+    expect(task.recordRobotsSkip('https://example.com/private')).toBe(false);
+
+    const revived = TaskState.fromJSON(task.toJSON());
+    expect([...revived.robotsSkipped]).toEqual(['https://example.com/private']);
+    expect(revived.failures.size).toBe(0);
+  });
+
+  test('normalises URLs with the task query policy', () => {
+    const task = new TaskState(1, 'https://example.com/list?page=1&utm_source=x', {
+      queryMode: 'denylist',
+    });
+    expect(task.settings.queryParams).toEqual(CONFIG.DEFAULT_QUERY_DENYLIST);
+    expect(task.startingUrl).toBe('https://example.com/list?page=1');
+
+    expect(task.addToQueue('https://example.com/list?page=2&fbclid=1')).toBe(true);
+    expect(task.addToQueue('https://example.com/list?fbclid=2&page=2')).toBe(false);
+    expect(task.queue.toArray()).toEqual(['https://example.com/list?page=1', 'https://example.com/list?page=2']);
+  });
+
+  test('applies the most specific per-site query rule', () => {
+    const task = new TaskState(1, 'https://example.com/', {
+      siteQueryRules: [
+        { host: 'example.com', mode: 'keep' },
+        { host: 'Forum.Example.com', mode: 'allowlist', params: ['t'] },
+      ],
+    });
+
+    expect(task.normalize('https://other.com/?a=1')).toBe('https://other.com/');
+    expect(task.normalize('https://docs.example.com/?b=2&a=1')).toBe(
+      'https://docs.example.com/?a=1&b=2'
+    );
+    expect(task.normalize('https://forum.example.com/view?t=5&sid=9')).toBe(
+      'https://forum.example.com/view?t=5'
+    );
+
+    const revived = TaskState.fromJSON(task.toJSON());
+    expect(revived.normalize('https://forum.example.com/view?sid=9&t=5')).toBe(
+      'https://forum.example.com/view?t=5'
+    );
+  });
+
+  test('dedupes pages on their canonical link and recorded aliases', () => {
+    const task = new TaskState(1, 'https://example.com/', {});
+    task.addToQueue('https://example.com/a', 1);
+
+    expect(
+      task.addContent('https://example.com/a', {
+        title: 'A',
+        textContent: 'Text',
+        finalUrl: 'https://example.com/a-moved',
+        metadata: { canonicalUrl: 'https://example.com/article' },
+      })
+    ).toBe(true);
+    expect([...task.contentMap.keys()]).toEqual(['https://example.com/article']);
+    expect(task.getDepth('https://example.com/article')).toBe(1);
+
+    expect(
+      task.addContent('https://example.com/print/a', {
+        title: 'A (print)',
+        textContent: 'Text',
+        metadata: { canonicalUrl: 'https://example.com/article' },
+      })
+    ).toBe(false);
+    expect(task.contentMap.size).toBe(1);
+    expect(task.addToQueue('https://example.com/a-moved')).toBe(false);
+    expect(task.addToQueue('https://example.com/article')).toBe(false);
+
+    const revived = TaskState.fromJSON(task.toJSON());
+    expect(revived.getAliasesByPage().get('https://example.com/article')).toEqual([
+      'https://example.com/a',
+      'https://example.com/a-moved',
+      'https://example.com/print/a',
+    ]);
+  });
+
+  test('ignores canonical links on hosts outside the crawl scope', () => {
+    const task = new TaskState(1, 'https://example.com/', {});
+    task.addContent('https://example.com/post', {
+      title: 'Post',
+      textContent: 'Text',
+      finalUrl: 'https://example.com/post',
+      metadata: { canonicalUrl: 'https://medium.com/@someone/post' },
+    });
+
+    expect([...task.contentMap.keys()]).toEqual(['https://example.com/post']);
+    expect(task.aliases.size).toBe(0);
+  });
+
+  describe('saving', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('saves once changes pause', () => {
+      const task = new TaskState(1, START_URL, {});
+      const save = jest.fn();
+      task.setSaveCallback(save);
+
+      task.markChanged();
+      jest.advanceTimersByTime(CONFIG.PERSISTENCE.SAVE_DELAY_MS - 1);
+      task.markChanged();
+      jest.advanceTimersByTime(CONFIG.PERSISTENCE.SAVE_DELAY_MS - 1);
+      expect(save).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps saving while changes keep coming', () => {
+      const task = new TaskState(1, START_URL, {});
+      const savedAt = [];
+      task.setSaveCallback(() => savedAt.push(Date.now()));
+      const startedAt = Date.now();
+
+      for (let elapsed = 0; elapsed < 30000; elapsed += 300) {
+        task.markChanged();
+        jest.advanceTimersByTime(300);
+      }
+
+      // Each save comes within the maximum wait of the first change after the last one
+      const gaps = savedAt.map((time, index) => time - (savedAt[index - 1] ?? startedAt));
+      expect(savedAt.length).toBeGreaterThanOrEqual(2);
+      gaps.forEach((gap) =>
+        expect(gap).toBeLessThanOrEqual(CONFIG.PERSISTENCE.SAVE_MAX_WAIT_MS + 300)
+      );
+    });
+  });
+
+  describe('near-duplicate pages', () => {
+    const listing = (page) =>
+      `${Array.from(
+        { length: 30 },
+        (_, index) => `Post ${index} tagged news was published with a summary of the story.`
+      ).join(' ')} Page ${page}`;
+
+    const template = Array.from(
+      { length: 40 },
+      (_, index) => `Menu item ${index} links to another section of the example site.`
+    ).join(' ');
+
+    test('collapses a page nearly identical to one already captured', () => {
+      const task = new TaskState(1, 'https://example.com/', { nearDuplicateThreshold: 0.95 });
+      task.addContent('https://example.com/tag/news', { title: 'News', textContent: listing(1) });
+
+      expect(
+        task.addContent('https://example.com/tag/news/print', {
+          title: 'News (print)',
+          textContent: listing(2),
+        })
+      ).toBe(false);
+      expect([...task.contentMap.keys()]).toEqual(['https://example.com/tag/news']);
+      expect(task.nearDuplicates.get('https://example.com/tag/news/print').keptUrl).toBe(
+        'https://example.com/tag/news'
+      );
+
+      const revived = TaskState.fromJSON(task.toJSON());
+      expect(revived.getNearDuplicatesByPage().get('https://example.com/tag/news')).toEqual([
+        'https://example.com/tag/news/print',
+      ]);
+      expect(revived.fingerprints.has('https://example.com/tag/news')).toBe(true);
+    });
+
+    test('keeps near-duplicates when the threshold is turned off', () => {
+      const task = new TaskState(1, 'https://example.com/', { nearDuplicateThreshold: null });
+      task.addContent('https://example.com/tag/news', { title: 'News', textContent: listing(1) });
+
+      expect(
+        task.addContent('https://example.com/tag/news/print', {
+          title: 'News (print)',
+          textContent: listing(2),
+        })
+      ).toBe(true);
+      expect(task.contentMap.size).toBe(2);
+    });
+
+    test('keeps short pages that share a large template by default', () => {
+      const task = new TaskState(1, 'https://example.com/', {});
+      const captured = ['Opening hours are nine to five.', 'Parking is free behind the store.'].map(
+        (body, index) =>
+          task.addContent(`https://example.com/info/${index}`, {
+            title: `Info ${index}`,
+            textContent: `${template}\n\n${body}\n\n${template}`,
+          })
+      );
+
+      expect(captured).toEqual([true, true]);
+      expect(task.contentMap.size).toBe(2);
+      expect(task.nearDuplicates.size).toBe(0);
+    });
+
+    test('defaults and clamps the threshold', () => {
+      expect(new TaskState(1, START_URL, {}).settings.nearDuplicateThreshold).toBeNull();
+      expect(
+        new TaskState(1, START_URL, { nearDuplicateThreshold: 0.1 }).settings.nearDuplicateThreshold
+      ).toBe(0.85);
+      expect(
+        new TaskState(1, START_URL, { nearDuplicateThreshold: 0.6 }).settings.nearDuplicateThreshold
+      ).toBe(0.85);
+      expect(
+        new TaskState(1, START_URL, { nearDuplicateThreshold: 'x' }).settings.nearDuplicateThreshold
+      ).toBeNull();
+      expect(
+        new TaskState(1, START_URL, { nearDuplicateThreshold: 0.9 }).settings.nearDuplicateThreshold
+      ).toBe(0.9);
+    });
+  });
+
+  test('restores a best-first queue with the scores of its link text', () => {
+    const task = new TaskState(1, 'https://example.com/', {
+      crawlOrder: 'best-first',
+      priorityKeywords: ['pricing'],
+    });
+    task.getNextUrl();
+    task.addToQueue('https://example.com/x', 1, 'Blog');
+    task.addToQueue('https://example.com/y', 1, 'See pricing');
+
+    expect(task.queue.toArray()).toEqual(['https://example.com/y', 'https://example.com/x']);
+
+    const revived = TaskState.fromJSON(task.toJSON());
+    expect(revived.settings.crawlOrder).toBe('best-first');
+    expect(revived.queue.toArray()).toEqual(['https://example.com/y', 'https://example.com/x']);
+  });
 });
@@ -0,0 +1,153 @@
+import { TaskStorage } from '../src/background/taskStorage.js';
+import { TaskState } from '../src/background/taskState.js';
+import { CONFIG } from '../src/shared/config.js';
+
+const pick = (store, keys) => {
+  const list = Array.isArray(keys) ? keys : [keys];
+  return Object.fromEntries(list.filter((key) => key in store).map((key) => [key, store[key]]));
+};
+
+describe('TaskStorage', () => {
+  let store;
+  let storage;
+
+  beforeEach(() => {
+    store = {};
+    chrome.storage.local.get.mockImplementation((keys) => Promise.resolve(pick(store, keys)));
+    chrome.storage.local.set.mockImplementation((data) => {
+      Object.assign(store, data);
+      return Promise.resolve();
+    });
+    chrome.storage.local.remove.mockImplementation((keys) => {
+      (Array.isArray(keys) ? keys : [keys]).forEach((key) => delete store[key]);
+      return Promise.resolve();
+    });
+    storage = new TaskStorage();
+  });
+
+  const createTask = () => {
+    const task = new TaskState(7, 'https://example.com/docs', { maxPages: 50 });
+    task.addToQueue('https://example.com/docs/intro');
+    task.addContent('https://example.com/docs', {
+      title: 'Docs',
+      textContent: 'x'.repeat(CONFIG.PERSISTENCE.CHUNK_SIZE * 2),
+    });
+    task.processed = 1;
+    return task;
+  };
+
+  test('saves tasks in chunks and loads them back', async () => {
+    await storage.save(createTask());
+
+    const chunkKeys = Object.keys(store).filter((key) => /^crawl_7_\d+_\d+$/.test(key));
+    expect(chunkKeys.length).toBeGreaterThan(2);
+    expect(store.crawl_index).toEqual([7]);
+
+    const restored = await storage.load(7);
+    expect(restored.processed).toBe(1);
+    expect(restored.queue.toArray()).toEqual(['https://example.com/docs', 'https://example.com/docs/intro']);
+    expect(restored.contentMap.get('https://example.com/docs').title).toBe('Docs');
+  });
+
+  test('replaces the previous generation on each save', async () => {
+    const task = createTask();
+    await storage.save(task);
+    task.processed = 2;
+    await storage.save(task);
+
+    expect(Object.keys(store).some((key) => key.startsWith('crawl_7_1_'))).toBe(false);
+    expect(store.crawl_7_manifest.generation).toBe(2);
+    expect((await storage.load(7)).processed).toBe(2);
+  });
+
+  test('keeps the last complete save when a newer one was cut short', async () => {
+    await storage.save(createTask());
+    store.crawl_7_2_0 = '{"partial';
+
+    expect((await storage.load(7)).processed).toBe(1);
+  });
+
+  test('keeps the previous save when a newer one runs out of storage', async () => {
+    const task = createTask();
+    await storage.save(task);
+    chrome.storage.local.set.mockImplementationOnce(() =>
+      Promise.reject(new Error('QUOTA_BYTES quota exceeded'))
+    );
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+    task.processed = 2;
+    await storage.save(task);
+
+    expect(store.crawl_7_manifest.generation).toBe(1);
+    expect((await storage.load(7)).processed).toBe(1);
+    expect(console.warn).toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+
+  test('removes saved state and drops unreadable tasks from loadAll', async () => {
+    await storage.save(createTask());
+    await storage.remove(7);
+    expect(store).toEqual({ crawl_index: [] });
+
+    await storage.save(createTask());
+    delete store.crawl_7_1_0;
+    expect(await storage.loadAll()).toEqual([]);
+    expect(store.crawl_index).toEqual([]);
+  });
+
+  test('keeps last crawls apart from resumable tasks', async () => {
+    const task = createTask();
+    task.recordFailure('https://example.com/docs/intro', 'timeout', 'Tab load timeout');
+
+    await storage.saveLastCrawl(task);
+
+    expect(await storage.loadAll()).toEqual([]);
+    expect((await storage.loadLastCrawl(7)).failures.size).toBe(1);
+    expect(await storage.loadLastCrawls()).toHaveLength(1);
+
+    await storage.removeLastCrawl(7);
+    expect(await storage.loadLastCrawl(7)).toBeNull();
+  });
+
+  describe('resuming', () => {
+    beforeEach(() => {
+      chrome.storage.session = {
+        get: jest.fn(() => Promise.resolve({ crawl_session: true })),
+        set: jest.fn(() => Promise.resolve()),
+      };
+      jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    });
+
+    afterEach(() => {
+      delete chrome.storage.session;
+      chrome.tabs.get.mockClear();
+      console.warn.mockRestore();
+    });
+
+    test('resumes tasks whose tab is still open', async () => {
+      await storage.save(createTask());
+
+      expect(await storage.loadResumable()).toHaveLength(1);
+      expect(chrome.tabs.get).toHaveBeenCalledWith(7);
+      expect(chrome.storage.session.set).toHaveBeenCalledWith({ crawl_session: true });
+    });
+
+    test('drops tasks whose tab was closed', async () => {
+      await storage.save(createTask());
+      chrome.tabs.get.mockImplementationOnce(() => Promise.reject(new Error('No tab with id: 7.')));
+
+      expect(await storage.loadResumable()).toEqual([]);
+      expect(store.crawl_index).toEqual([]);
+      expect(store.crawl_7_manifest).toBeUndefined();
+    });
+
+    test('drops tasks saved before the browser restarted', async () => {
+      await storage.save(createTask());
+      chrome.storage.session.get.mockResolvedValueOnce({});
+
+      expect(await storage.loadResumable()).toEqual([]);
+      expect(chrome.tabs.get).not.toHaveBeenCalled();
+      expect(store.crawl_index).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { UrlFilter } from '../src/background/urlFilter.js';
+
+describe('UrlFilter', () => {
+  test('allows everything without patterns', () => {
+    expect(new UrlFilter().getRejectingRule('https://example.com/anything')).toBeNull();
+  });
+
+  test('rejects links that match an exclude pattern', () => {
+    const filter = new UrlFilter({ exclude: ['/blog/*', '/login'] });
+    expect(filter.getRejectingRule('https://example.com/blog/post')).toBe('exclude: /blog/*');
+    expect(filter.getRejectingRule('https://example.com/login')).toBe('exclude: /login');
+    expect(filter.getRejectingRule('https://example.com/docs/')).toBeNull();
+  });
+
+  test('rejects links that match no include pattern', () => {
+    const filter = new UrlFilter({ include: ['/docs/*'] });
+    expect(filter.getRejectingRule('https://example.com/docs/start')).toBeNull();
+    expect(filter.getRejectingRule('https://example.com/pricing')).toBe(
+      'include: no pattern matched'
+    );
+  });
+
+  test('lets exclude patterns win over include patterns', () => {
+    const filter = new UrlFilter({ include: ['/docs/*'], exclude: ['/docs/archive/*'] });
+    expect(filter.getRejectingRule('https://example.com/docs/archive/old')).toBe(
+      'exclude: /docs/archive/*'
+    );
+  });
+
+  test('ignores invalid patterns', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const filter = new UrlFilter({ exclude: ['re:(', '/tags/*'] });
+    expect(filter.exclude).toHaveLength(1);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
@@ -1,5 +1,12 @@
 // Tests for utility functions from the existing codebase
-import { normalizeUrl, isValidUrl, extractDomain, hasExcludedExtension, generateFilename } from '../src/shared/utils.js';
+import {
+  normalizeUrl,
+  isValidUrl,
+  extractDomain,
+  hasExcludedExtension,
+  generateFilename,
+  compileUrlPattern,
+} from '../src/shared/utils.js';
 
 describe('URL Normalization', () => {
 
@@ -39,6 +46,43 @@ describe('URL Normalization', () => {
   });
 });
 
+describe('URL Normalization query policies', () => {
+  const url = 'https://example.com/list?page=2&utm_source=x&id=7&FBCLID=abc#top';
+
+  test('keeps every parameter', () => {
+    expect(normalizeUrl(url, { queryPolicy: { mode: 'keep' } })).toBe(
+      'https://example.com/list?page=2&utm_source=x&id=7&FBCLID=abc'
+    );
+  });
+
+  test('keeps only allowlisted parameters', () => {
+    expect(normalizeUrl(url, { queryPolicy: { mode: 'allowlist', params: ['id', 'page'] } })).toBe(
+      'https://example.com/list?page=2&id=7'
+    );
+  });
+
+  test('drops denylisted parameters with prefix wildcards, ignoring case', () => {
+    expect(
+      normalizeUrl(url, { queryPolicy: { mode: 'denylist', params: ['utm_*', 'fbclid'] } })
+    ).toBe('https://example.com/list?page=2&id=7');
+  });
+
+  test('sorts kept parameters for stable dedupe', () => {
+    const policy = { mode: 'keep', sort: true };
+    expect(normalizeUrl('https://example.com/?b=2&a=1&b=1', { queryPolicy: policy })).toBe(
+      'https://example.com/?a=1&b=2&b=1'
+    );
+  });
+
+  test('drops the question mark when no parameters are left', () => {
+    expect(
+      normalizeUrl('https://example.com/page?utm_medium=x', {
+        queryPolicy: { mode: 'denylist', params: ['utm_*'] },
+      })
+    ).toBe('https://example.com/page');
+  });
+});
+
 describe('URL Validation', () => {
   test('accepts valid HTTP URLs', () => {
     expect(isValidUrl('http://example.com')).toBe(true);
@@ -114,4 +158,36 @@ describe('Filename Generation', () => {
     
     expect(filename).toMatch(/^blog\.example\.com_\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.md$/);
   });
-});
\ No newline at end of file
+});
+
+describe('URL Pattern Compilation', () => {
+  test('matches globs against the path', () => {
+    const matches = compileUrlPattern('/docs/*');
+    expect(matches('https://example.com/docs/')).toBe(true);
+    expect(matches('https://example.com/docs/guide/intro')).toBe(true);
+    expect(matches('https://example.com/blog/docs/')).toBe(false);
+  });
+
+  test('supports single-character wildcards and literal dots', () => {
+    const matches = compileUrlPattern('/v?/index.html');
+    expect(matches('https://example.com/v2/index.html')).toBe(true);
+    expect(matches('https://example.com/v2/indexxhtml')).toBe(false);
+  });
+
+  test('matches globs with a scheme against the whole URL', () => {
+    const matches = compileUrlPattern('https://example.com/api/*');
+    expect(matches('https://example.com/api/users')).toBe(true);
+    expect(matches('http://example.com/api/users')).toBe(false);
+  });
+
+  test('treats re: patterns as regular expressions over the whole URL', () => {
+    const matches = compileUrlPattern('re:/(login|tags?)/');
+    expect(matches('https://example.com/tag/js')).toBe(true);
+    expect(matches('https://example.com/account/login/')).toBe(true);
+    expect(matches('https://example.com/docs/')).toBe(false);
+  });
+
+  test('throws on invalid regular expressions', () => {
+    expect(() => compileUrlPattern('re:(')).toThrow(SyntaxError);
+  });
+});